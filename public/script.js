@@ -604,8 +604,11 @@ function handleCampaignStarted(data) {
 }
 
 function handleCampaignStopped(data) {
-    showToast(`Campaign "${data.name}" stopped`, 'warning');
-    addActivityFeedItem(`Campaign "${data.name}" stopped`, 'warning');
+    const message = data.reason
+        ? `Campaign "${data.name}" stopped: ${data.reason}`
+        : `Campaign "${data.name}" stopped`;
+    showToast(message, 'warning');
+    addActivityFeedItem(message, 'warning');
     if (document.querySelector('#campaigns.active')) {
         loadCampaigns();
     }
@@ -663,7 +666,8 @@ function getOutcomeColor(outcome) {
         'not-interested': 'danger',
         'voicemail': 'secondary',
         'wrong-number': 'danger',
-        'no-answer': 'secondary'
+        'no-answer': 'secondary',
+        'opt-out': 'dark'
     };
     return colors[outcome] || 'secondary';
 }
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+// Default prices in USD. Override any of them with a JSON file of the same
+// shape at PRICE_TABLE_PATH.
+const DEFAULT_PRICES = {
+  // Per million tokens
+  llm: {
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+    'claude-3-5-haiku-latest': { input: 0.8, output: 4 }
+  },
+  // Per million characters
+  tts: {
+    'tts-1': 15,
+    'tts-1-hd': 30
+  },
+  // Per minute of audio
+  stt: {
+    'whisper-1': 0.006
+  },
+  // Used until Twilio reports the actual price of a call
+  telephony: {
+    perMinute: 0.014
+  },
+  // Providers whose models are billed by nobody
+  freeProviders: ['local', 'stub']
+};
+
+/**
+ * Load the price table, merging PRICE_TABLE_PATH over the defaults
+ * @returns {Object} Price table
+ */
+function loadPrices() {
+  const overridePath = process.env.PRICE_TABLE_PATH;
+  if (!overridePath) {
+    return DEFAULT_PRICES;
+  }
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(overridePath, 'utf8'));
+    return {
+      ...DEFAULT_PRICES,
+      ...overrides,
+      llm: { ...DEFAULT_PRICES.llm, ...overrides.llm },
+      tts: { ...DEFAULT_PRICES.tts, ...overrides.tts },
+      stt: { ...DEFAULT_PRICES.stt, ...overrides.stt },
+      telephony: { ...DEFAULT_PRICES.telephony, ...overrides.telephony }
+    };
+  } catch (error) {
+    logger.error('Failed to load price table, using defaults', {
+      error: error.message,
+      path: overridePath
+    });
+    return DEFAULT_PRICES;
+  }
+}
+
+module.exports = loadPrices();
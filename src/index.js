@@ -8,11 +8,16 @@ require('dotenv').config();
 
 const connectDB = require('./config/database');
 const logger = require('./utils/logger');
+const dialerService = require('./services/dialerService');
+const mediaStreamService = require('./services/mediaStreamService');
 
 // Route imports
 const callRoutes = require('./routes/calls');
 const campaignRoutes = require('./routes/campaigns');
 const webhookRoutes = require('./routes/webhooks');
+const suppressionRoutes = require('./routes/suppressions');
+const consentRoutes = require('./routes/consent');
+const jurisdictionRoutes = require('./routes/jurisdictions');
 
 const app = express();
 const server = http.createServer(app);
@@ -23,8 +28,11 @@ const io = socketIo(server, {
   }
 });
 
-// Connect to MongoDB
-connectDB();
+// Accept Twilio media streams for campaigns in streaming mode
+mediaStreamService.attach(server);
+
+// Connect to MongoDB, then resume dialing for campaigns left running
+connectDB().then(() => dialerService.initialize(io));
 
 // Middleware
 app.use(helmet());
@@ -46,6 +54,9 @@ app.use(express.static('public'));
 app.use('/api/calls', callRoutes);
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/webhooks', webhookRoutes);
+app.use('/api/suppressions', suppressionRoutes);
+app.use('/api/consent', consentRoutes);
+app.use('/api/jurisdictions', jurisdictionRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -90,6 +101,7 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  dialerService.stopAll();
   server.close(() => {
     logger.info('Process terminated');
   });
@@ -41,6 +41,88 @@ const callSchema = new mongoose.Schema({
   answeredAt: Date,
   endedAt: Date,
   duration: Number, // in seconds
+  answeredBy: String, // Twilio AMD result: human, machine_end_beep, fax, etc.
+  voicemailLeft: {
+    type: Boolean,
+    default: false
+  },
+
+  // Warm transfer to a human rep
+  transfer: {
+    reason: {
+      type: String,
+      enum: ['customer-request', 'buying-intent']
+    },
+    targetType: String,
+    target: String,
+    summary: String, // Whispered to the rep before connecting
+    requestedAt: Date,
+    status: {
+      type: String,
+      enum: ['initiated', 'answered', 'completed', 'busy', 'no-answer', 'failed', 'canceled']
+    },
+    duration: Number, // seconds connected to the rep
+    endedAt: Date
+  },
+  
+  // Script progress
+  stage: String, // stage the call ended in
+  qualification: [{
+    question: String,
+    status: {
+      type: String,
+      enum: ['pending', 'asked', 'answered']
+    },
+    answer: String,
+    askedAt: Date,
+    answeredAt: Date
+  }],
+
+  // Playbook objections the prospect raised
+  objections: [{
+    objectionId: String,
+    objection: String,
+    score: Number, // match confidence
+    raisedAt: Date
+  }],
+
+  // Replies that broke the campaign's guardrails
+  guardrailViolations: [{
+    rule: {
+      type: String,
+      enum: ['banned-phrase', 'price-claim', 'response-length', 'unapproved-promise', 'max-turns', 'max-duration']
+    },
+    detail: String,
+    response: String, // reply as generated
+    action: {
+      type: String,
+      enum: ['rephrased', 'replaced', 'truncated', 'ended-call']
+    },
+    occurredAt: Date
+  }],
+
+  // Customer turns screened out as prompt injection or abuse
+  flaggedTurns: [{
+    speech: String,
+    categories: [{
+      type: String,
+      enum: ['injection', 'abuse']
+    }],
+    matches: [String], // text that tripped the screen
+    action: {
+      type: String,
+      enum: ['deflect', 'warn', 'end-call']
+    },
+    flaggedAt: Date
+  }],
+
+  // Actions the AI took during the call
+  toolCalls: [{
+    name: String,
+    arguments: Object,
+    result: Object,
+    executedAt: Date
+  }],
   
   // Conversation data
   conversation: [{
@@ -58,7 +140,17 @@ const callSchema = new mongoose.Schema({
       default: Date.now
     },
     audioUrl: String, // URL to recorded audio segment
-    confidence: Number // Speech recognition confidence
+    confidence: Number, // Speech recognition confidence
+    flagged: Boolean, // Screened out; withheld from the AI
+    citations: [{ // Knowledge base passages an agent reply drew on
+      documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'KnowledgeDocument'
+      },
+      documentName: String,
+      chunkIndex: Number,
+      heading: String
+    }]
   }],
   
   // AI Analysis
@@ -73,7 +165,7 @@ const callSchema = new mongoose.Schema({
   // Call outcome
   outcome: {
     type: String,
-    enum: ['sale', 'interested', 'not-interested', 'callback', 'voicemail', 'wrong-number', 'no-answer'],
+    enum: ['sale', 'interested', 'not-interested', 'callback', 'voicemail', 'wrong-number', 'no-answer', 'opt-out'],
     default: 'no-answer'
   },
   leadScore: {
@@ -88,9 +180,38 @@ const callSchema = new mongoose.Schema({
   
   // Cost tracking
   cost: {
-    type: Number,
+    type: Number, // USD, sum of costBreakdown
     default: 0
   },
+  costBreakdown: {
+    llm: { type: Number, default: 0 },
+    telephony: { type: Number, default: 0 },
+    tts: { type: Number, default: 0 },
+    stt: { type: Number, default: 0 }
+  },
+  usage: {
+    inputTokens: { type: Number, default: 0 },
+    outputTokens: { type: Number, default: 0 },
+    ttsCharacters: { type: Number, default: 0 },
+    sttSeconds: { type: Number, default: 0 }
+  },
+  llmUsage: [{ // one entry per LLM request
+    task: String,
+    provider: String,
+    model: String,
+    inputTokens: Number,
+    outputTokens: Number,
+    cost: Number,
+    at: Date
+  }],
+  telephonyPrice: {
+    price: Number, // as reported by Twilio, negative for charges
+    priceUnit: String,
+    source: {
+      type: String,
+      enum: ['twilio', 'estimate']
+    }
+  },
   
   // Metadata
   notes: String,
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getZonedTime, isWithinWindow, resolveTimezone } = require('../utils/timezone');
 
 const campaignSchema = new mongoose.Schema({
   // Basic campaign information
@@ -18,6 +19,8 @@ const campaignSchema = new mongoose.Schema({
     enum: ['draft', 'scheduled', 'running', 'paused', 'completed', 'cancelled'],
     default: 'draft'
   },
+  pausedReason: String, // set when the system pauses the campaign, e.g. a budget cap
+  pausedUntil: Date, // when a system pause lifts by itself, e.g. a daily budget cap
   
   // Scheduling
   scheduledStart: Date,
@@ -60,6 +63,54 @@ const campaignSchema = new mongoose.Schema({
     max: 10
   },
   
+  // Retry policy per call outcome. Rules fall back to retryDelay and
+  // maxAttemptsPerLead when delayHours or maxAttempts are not set.
+  retryPolicy: {
+    backoff: {
+      type: String,
+      enum: ['fixed', 'linear', 'exponential'],
+      default: 'fixed'
+    },
+    backoffMultiplier: {
+      type: Number,
+      default: 2,
+      min: 1
+    },
+    maxDelayHours: {
+      type: Number,
+      default: 168 // one week
+    },
+    rules: [{
+      outcome: {
+        type: String,
+        enum: ['busy', 'no-answer', 'failed', 'canceled', 'voicemail', 'callback', 'interested'],
+        required: true
+      },
+      delayHours: Number,
+      maxAttempts: Number,
+      backoff: {
+        type: String,
+        enum: ['fixed', 'linear', 'exponential']
+      }
+    }]
+  },
+  
+  // Consent rules applied before dialing
+  consentRequirements: {
+    requireLedgerRecord: {
+      type: Boolean,
+      default: false // when false, leads without ledger entries fall back to consent.calls
+    },
+    maxAgeDays: Number // reject consent older than this
+  },
+  
+  // Spend caps in USD; a cap that is not set does not apply
+  budget: {
+    dailyLimit: Number, // per day in the campaign's timezone
+    totalLimit: Number,
+    perLeadLimit: Number // leads that reach it are retired
+  },
+  
   // Conversation configuration
   script: {
     opening: {
@@ -78,7 +129,16 @@ const campaignSchema = new mongoose.Schema({
     closing: {
       type: String,
       default: "Thank you for your time. Have a great day!"
-    }
+    },
+    optOutConfirmation: {
+      type: String,
+      default: "I understand. I've removed your number from our call list and you won't receive any more calls from us. Goodbye."
+    },
+    // Approved answers the AI can look up with the lookup_faq tool
+    faq: [{
+      question: String,
+      answer: String
+    }]
   },
   
   // AI Configuration
@@ -100,7 +160,43 @@ const campaignSchema = new mongoose.Schema({
     systemPrompt: {
       type: String,
       default: "You are a professional sales agent. Be polite, helpful, and persuasive. Keep responses concise and natural."
-    }
+    },
+    // Speak each sentence as soon as it is generated
+    streamResponses: {
+      type: Boolean,
+      default: false
+    },
+    latencyBudgetMs: {
+      type: Number, // longest wait for the first sentence before a filler phrase
+      default: 1200
+    },
+    maxResponseMs: {
+      type: Number, // generation is abandoned after this long
+      default: 8000
+    },
+    fillerPhrases: {
+      type: [String],
+      default: ['Let me think about that for a second.', 'Good question.', 'Sure, one moment.']
+    },
+    // Actions the AI may take itself during non-streamed replies
+    tools: [{
+      type: String,
+      enum: ['book_meeting', 'schedule_callback', 'transfer_to_human', 'mark_do_not_call', 'end_call', 'lookup_faq']
+    }],
+    // LLM providers tried in order until one answers; LLM_PROVIDERS is used when empty
+    providers: [{
+      provider: {
+        type: String,
+        enum: ['openai', 'anthropic', 'azure', 'local', 'stub'],
+        required: true
+      },
+      model: String, // provider default for the task when empty
+      tasks: [{ // tasks this provider serves; all tasks when empty
+        type: String,
+        enum: ['conversation', 'sentiment', 'extraction', 'callback-parsing', 'transfer-summary', 'call-summary', 'rephrase', 'persona']
+      }],
+      timeoutMs: Number // move on to the next provider after this long
+    }]
   },
   
   // Voice settings
@@ -120,6 +216,144 @@ const campaignSchema = new mongoose.Schema({
       default: 'en-US'
     }
   },
+
+  // Real-time audio over Twilio Media Streams instead of <Gather> round-trips
+  streaming: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    ttsVoice: {
+      type: String,
+      enum: ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'],
+      default: 'alloy'
+    },
+    bargeIn: {
+      type: Boolean, // let the customer interrupt the agent mid-sentence
+      default: true
+    }
+  },
+
+  // Answering machine detection
+  answeringMachineDetection: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    leaveVoicemail: {
+      type: Boolean,
+      default: true
+    },
+    voicemailMessage: {
+      type: String,
+      default: "Hi {firstName}, sorry we missed you. We were calling with some information we think you'll find useful, and we'll try you again soon. Have a great day!"
+    },
+    timeout: {
+      type: Number, // seconds Twilio may spend detecting
+      default: 30,
+      min: 3,
+      max: 59
+    }
+  },
+  
+  // Warm transfer to a human rep
+  transfer: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    targetType: {
+      type: String,
+      enum: ['number', 'queue'],
+      default: 'number'
+    },
+    target: String, // Rep phone number or Twilio queue name
+    onBuyingIntent: {
+      type: Boolean,
+      default: true
+    },
+    announcement: {
+      type: String,
+      default: 'Let me connect you with one of our specialists now. Please hold for a moment.'
+    },
+    unavailableMessage: {
+      type: String,
+      default: "I'm sorry, no one is available to take your call right now. Someone from our team will follow up with you soon. Goodbye."
+    },
+    timeout: {
+      type: Number, // seconds to ring the rep
+      default: 30
+    }
+  },
+
+  // Rules every agent reply must follow
+  guardrails: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    bannedPhrases: [String],
+    approvedPriceClaims: [String], // prices and discounts the agent may quote
+    approvedFacts: [String], // commitments the agent may make
+    maxResponseWords: {
+      type: Number,
+      default: 60
+    },
+    maxTurns: {
+      type: Number, // customer turns per call
+      default: 30
+    },
+    maxDurationSeconds: {
+      type: Number,
+      default: 900
+    },
+    rephrase: {
+      type: Boolean, // ask the AI to fix a violating reply before falling back to safeResponse
+      default: true
+    },
+    safeResponse: {
+      type: String,
+      default: "That's a great question. I'd rather have a specialist confirm the details with you than guess."
+    },
+    limitMessage: {
+      type: String,
+      default: "I want to be respectful of your time, so I'll wrap up here. Someone from our team will follow up with you. Thank you, goodbye!"
+    }
+  },
+
+  // How to respond to prompt injection and abusive customer speech
+  inputScreening: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    injectionAction: {
+      type: String,
+      enum: ['deflect', 'warn', 'end-call'],
+      default: 'deflect'
+    },
+    abuseAction: {
+      type: String,
+      enum: ['deflect', 'warn', 'end-call'],
+      default: 'warn'
+    },
+    maxWarnings: {
+      type: Number, // warnings before a warned call is ended
+      default: 1
+    },
+    deflectMessage: {
+      type: String,
+      default: 'I can only help with questions about our offer. What would you like to know?'
+    },
+    warningMessage: {
+      type: String,
+      default: "I want to keep this conversation respectful. If that continues, I'll need to end the call."
+    },
+    endMessage: {
+      type: String,
+      default: "I'm going to end the call here. Goodbye."
+    }
+  },
   
   // Goals and metrics
   goals: {
@@ -157,6 +391,24 @@ const campaignSchema = new mongoose.Schema({
     totalCost: {
       type: Number,
       default: 0
+    },
+    costPerCall: {
+      type: Number,
+      default: 0
+    },
+    costBreakdown: {
+      llm: { type: Number, default: 0 },
+      telephony: { type: Number, default: 0 },
+      tts: { type: Number, default: 0 },
+      stt: { type: Number, default: 0 }
+    },
+    inputTokens: {
+      type: Number,
+      default: 0
+    },
+    outputTokens: {
+      type: Number,
+      default: 0
     }
   },
   
@@ -190,35 +442,36 @@ campaignSchema.virtual('currentConversionRate').get(function() {
   return Math.round((this.stats.successfulCalls / this.stats.completedCalls) * 100 * 100) / 100;
 });
 
-// Method to check if campaign should be running
-campaignSchema.methods.shouldBeRunning = function() {
-  const now = new Date();
-  const currentHour = now.getHours();
-  const currentDay = now.getDay();
-  
-  // Check if within working hours
-  const startHour = parseInt(this.workingHours.start.split(':')[0]);
-  const endHour = parseInt(this.workingHours.end.split(':')[0]);
-  
-  if (currentHour < startHour || currentHour >= endHour) {
+// Method to check if campaign is active and inside its scheduled date range
+campaignSchema.methods.isWithinSchedule = function(now = new Date()) {
+  if (this.scheduledStart && now < this.scheduledStart) {
     return false;
   }
   
-  // Check if within working days
-  if (!this.workingDays.includes(currentDay)) {
+  if (this.scheduledEnd && now > this.scheduledEnd) {
     return false;
   }
   
-  // Check campaign schedule
-  if (this.scheduledStart && now < this.scheduledStart) {
+  return this.status === 'running';
+};
+
+// Method to check if campaign should be running. Working hours and days are
+// evaluated in the given timezone (e.g. the lead's), defaulting to the campaign's.
+campaignSchema.methods.shouldBeRunning = function(timezone = null, now = new Date()) {
+  const zone = resolveTimezone(timezone, this.workingHours.timezone);
+  const local = getZonedTime(now, zone);
+  
+  // Check if within working hours
+  if (!isWithinWindow(local.minutesOfDay, this.workingHours.start, this.workingHours.end)) {
     return false;
   }
   
-  if (this.scheduledEnd && now > this.scheduledEnd) {
+  // Check if within working days
+  if (!this.workingDays.includes(local.weekday)) {
     return false;
   }
   
-  return this.status === 'running';
+  return this.isWithinSchedule(now);
 };
 
 // Method to update campaign statistics
@@ -247,7 +500,13 @@ campaignSchema.methods.updateStats = async function() {
           }
         },
         avgDuration: { $avg: '$duration' },
-        totalCost: { $sum: '$cost' }
+        totalCost: { $sum: '$cost' },
+        llmCost: { $sum: '$costBreakdown.llm' },
+        telephonyCost: { $sum: '$costBreakdown.telephony' },
+        ttsCost: { $sum: '$costBreakdown.tts' },
+        sttCost: { $sum: '$costBreakdown.stt' },
+        inputTokens: { $sum: '$usage.inputTokens' },
+        outputTokens: { $sum: '$usage.outputTokens' }
       }
     }
   ]);
@@ -259,6 +518,17 @@ campaignSchema.methods.updateStats = async function() {
     this.stats.successfulCalls = stats.successfulCalls || 0;
     this.stats.avgCallDuration = Math.round(stats.avgDuration || 0);
     this.stats.totalCost = Math.round((stats.totalCost || 0) * 100) / 100;
+    this.stats.costPerCall = stats.totalCalls > 0
+      ? Math.round((stats.totalCost / stats.totalCalls) * 10000) / 10000
+      : 0;
+    this.stats.costBreakdown = {
+      llm: Math.round((stats.llmCost || 0) * 10000) / 10000,
+      telephony: Math.round((stats.telephonyCost || 0) * 10000) / 10000,
+      tts: Math.round((stats.ttsCost || 0) * 10000) / 10000,
+      stt: Math.round((stats.sttCost || 0) * 10000) / 10000
+    };
+    this.stats.inputTokens = stats.inputTokens || 0;
+    this.stats.outputTokens = stats.outputTokens || 0;
     this.stats.conversionRate = this.stats.completedCalls > 0 
       ? Math.round((this.stats.successfulCalls / this.stats.completedCalls) * 100 * 100) / 100 
       : 0;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const consentRecordSchema = new mongoose.Schema({
+  // Who the consent applies to
+  phoneNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  },
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+
+  // What was granted or revoked
+  type: {
+    type: String,
+    enum: ['calls', 'marketing', 'dataProcessing'],
+    default: 'calls'
+  },
+  action: {
+    type: String,
+    enum: ['granted', 'revoked'],
+    required: true
+  },
+
+  // How and by whom
+  channel: {
+    type: String,
+    enum: ['web-form', 'phone', 'sms', 'email', 'import', 'api', 'manual'],
+    required: true
+  },
+  recordedBy: {
+    type: String,
+    default: 'system'
+  },
+  importBatchId: String,
+  callSid: String,
+  evidence: String, // Form URL, recording URL, quoted statement, etc.
+  ipAddress: String,
+
+  // When the consent was given and until when it holds
+  effectiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+consentRecordSchema.index({ phoneNumber: 1, type: 1, effectiveAt: -1 });
+consentRecordSchema.index({ leadId: 1 });
+consentRecordSchema.index({ importBatchId: 1 });
+
+// The ledger is append-only: records can be created but never changed or removed
+const rejectChange = function(next) {
+  next(new Error('Consent records are append-only'));
+};
+
+consentRecordSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  consentRecordSchema.pre(operation, rejectChange);
+});
+
+// Virtual to check if record is currently in effect
+consentRecordSchema.virtual('isActive').get(function() {
+  return this.effectiveAt <= new Date() && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+module.exports = mongoose.model('ConsentRecord', consentRecordSchema);
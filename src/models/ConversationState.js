@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const conversationStateSchema = new mongoose.Schema({
+  // Call identification
+  callSid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Campaign and lead references
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+
+  // Snapshots used when the live documents cannot be loaded
+  leadSnapshot: Object,
+  campaignSnapshot: Object,
+
+  // Conversation progress
+  conversationHistory: {
+    type: Array, // { speaker, message, timestamp, ... } entries as kept in memory
+    default: []
+  },
+  currentStep: {
+    type: String,
+    default: 'opening'
+  },
+  startTime: Date,
+
+  // Any other conversation context (call context, pending callback, etc.)
+  state: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Abandoned conversations are removed automatically
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 4 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+conversationStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+conversationStateSchema.index({ campaignId: 1 });
+
+module.exports = mongoose.model('ConversationState', conversationStateSchema);
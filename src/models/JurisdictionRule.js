@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const jurisdictionRuleSchema = new mongoose.Schema({
+  // Jurisdiction the rule applies to. Calling hours and limits from every
+  // matching rule apply; the most specific rule supplies disclosure wording.
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    default: 'US'
+  },
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  areaCode: {
+    type: String,
+    trim: true
+  },
+
+  // Permitted calling windows in the callee's local time. A call is allowed
+  // when any window for the current weekday contains the current time.
+  callingHours: [{
+    _id: false,
+    days: {
+      type: [Number], // 0 = Sunday, 1 = Monday, etc.
+      default: [0, 1, 2, 3, 4, 5, 6]
+    },
+    start: {
+      type: String,
+      default: '08:00'
+    },
+    end: {
+      type: String,
+      default: '21:00'
+    }
+  }],
+
+  // Statements that must be spoken at the start of the call
+  requireAiDisclosure: {
+    type: Boolean,
+    default: false
+  },
+  aiDisclosureStatement: {
+    type: String,
+    default: 'Please note that this call is being conducted by an automated AI assistant.'
+  },
+  requireRecordingConsent: {
+    type: Boolean,
+    default: false
+  },
+  recordingConsentStatement: {
+    type: String,
+    default: 'This call may be recorded for quality and training purposes.'
+  },
+
+  // Maximum call attempts to the same number within a rolling period
+  maxAttempts: {
+    count: Number,
+    periodHours: {
+      type: Number,
+      default: 24
+    }
+  },
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+jurisdictionRuleSchema.index({ country: 1, state: 1, areaCode: 1 }, { unique: true });
+jurisdictionRuleSchema.index({ active: 1 });
+
+// Virtual for how specific the rule is (country = 1, state = 2, area code = 3)
+jurisdictionRuleSchema.virtual('specificity').get(function() {
+  if (this.areaCode) return 3;
+  if (this.state) return 2;
+  return 1;
+});
+
+module.exports = mongoose.model('JurisdictionRule', jurisdictionRuleSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const knowledgeDocumentSchema = new mongoose.Schema({
+  // Campaign the document answers questions for
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+
+  // Source document
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: ['markdown', 'text', 'faq-csv'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+
+  // Passages retrieved during calls
+  chunks: [{
+    heading: String, // section heading or FAQ question
+    text: {
+      type: String,
+      required: true
+    }
+  }],
+
+  active: {
+    type: Boolean,
+    default: true
+  },
+  uploadedBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+knowledgeDocumentSchema.index({ campaignId: 1, active: 1 });
+
+module.exports = mongoose.model('KnowledgeDocument', knowledgeDocumentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getZonedTime, isWithinWindow, resolveTimezone } = require('../utils/timezone');
 
 const leadSchema = new mongoose.Schema({
   // Campaign reference
@@ -84,6 +85,18 @@ const leadSchema = new mongoose.Schema({
   },
   lastCallDate: Date,
   nextCallDate: Date,
+  requestedCallback: {
+    at: Date, // Time the prospect asked to be called back
+    requestedAt: Date,
+    originalText: String
+  },
+  meeting: {
+    at: Date, // Meeting booked by the AI during a call
+    durationMinutes: Number,
+    notes: String,
+    bookedAt: Date,
+    callSid: String
+  },
   bestTimeToCall: {
     start: {
       type: String,
@@ -175,6 +188,21 @@ const leadSchema = new mongoose.Schema({
     default: false
   },
   doNotCallReason: String,
+  doNotCallDate: Date,
+  
+  // Set when a compliance check (e.g. missing consent) blocks calling
+  callBlock: {
+    source: String,
+    reason: String,
+    blockedAt: Date
+  },
+  
+  // Set when the retry policy takes the lead out of automatic dialing
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  retiredReason: String,
   
   // System fields
   imported: {
@@ -207,37 +235,47 @@ leadSchema.virtual('isCallable').get(function() {
   return true;
 });
 
-// Method to check if lead should be called now
-leadSchema.methods.shouldBeCalledNow = function(campaignWorkingHours, campaignWorkingDays) {
+// Method to check if lead should be called now. All windows are evaluated
+// in the lead's own timezone.
+leadSchema.methods.shouldBeCalledNow = function(campaignWorkingHours, campaignWorkingDays, now = new Date()) {
   if (!this.isCallable) return false;
   
-  const now = new Date();
-  
   // Check if we have a scheduled next call date
   if (this.nextCallDate && now < this.nextCallDate) {
     return false;
   }
   
-  // Check lead's best time to call (in their timezone)
-  // For simplicity, we'll use the campaign's working hours
-  const currentHour = now.getHours();
-  const currentDay = now.getDay();
+  return this.isInCallingWindow(campaignWorkingHours, campaignWorkingDays, now);
+};
+
+// Method to check if a moment falls inside the lead's local calling window
+leadSchema.methods.isInCallingWindow = function(campaignWorkingHours, campaignWorkingDays, now = new Date()) {
+  const local = getZonedTime(now, this.getTimezone(campaignWorkingHours?.timezone));
   
-  const startHour = parseInt(this.bestTimeToCall.start.split(':')[0]);
-  const endHour = parseInt(this.bestTimeToCall.end.split(':')[0]);
+  // Check campaign working hours in the lead's timezone
+  if (campaignWorkingHours &&
+      !isWithinWindow(local.minutesOfDay, campaignWorkingHours.start, campaignWorkingHours.end)) {
+    return false;
+  }
   
-  if (currentHour < startHour || currentHour >= endHour) {
+  // Check lead's best time to call
+  if (!isWithinWindow(local.minutesOfDay, this.bestTimeToCall?.start, this.bestTimeToCall?.end)) {
     return false;
   }
   
-  // Check if today is a working day
-  if (campaignWorkingDays && !campaignWorkingDays.includes(currentDay)) {
+  // Check if today is a working day for the lead
+  if (campaignWorkingDays && !campaignWorkingDays.includes(local.weekday)) {
     return false;
   }
   
   return true;
 };
 
+// Method to resolve the timezone calls to this lead should be planned in
+leadSchema.methods.getTimezone = function(fallbackTimezone = null) {
+  return resolveTimezone(this.timezone, fallbackTimezone);
+};
+
 // Method to update lead score based on call outcome
 leadSchema.methods.updateScore = function(callOutcome, sentiment) {
   let scoreChange = 0;
@@ -259,6 +297,14 @@ leadSchema.methods.updateScore = function(callOutcome, sentiment) {
       scoreChange = -15;
       this.status = 'not-interested';
       break;
+    case 'voicemail':
+      scoreChange = -2;
+      if (this.status === 'new') this.status = 'contacted';
+      break;
+    case 'opt-out':
+      scoreChange = -50;
+      this.markDoNotCall(this.doNotCallReason || 'Opted out during call');
+      break;
     case 'wrong-number':
       scoreChange = -30;
       this.status = 'do-not-call';
@@ -285,20 +331,29 @@ leadSchema.methods.updateScore = function(callOutcome, sentiment) {
   return this.save();
 };
 
-// Method to schedule next call
-leadSchema.methods.scheduleNextCall = function(retryDelayHours = 24) {
-  if (this.status === 'callback') {
-    // Schedule for next business day
-    const nextCall = new Date();
-    nextCall.setDate(nextCall.getDate() + 1);
-    nextCall.setHours(9, 0, 0, 0); // 9 AM next day
-    this.nextCallDate = nextCall;
-  } else if (this.status === 'new' || this.status === 'contacted') {
-    // Schedule retry based on campaign settings
-    const nextCall = new Date();
-    nextCall.setHours(nextCall.getHours() + retryDelayHours);
-    this.nextCallDate = nextCall;
-  }
+// Method to schedule next call at a given date or after a delay in hours
+leadSchema.methods.scheduleNextCall = function(when = 24) {
+  this.nextCallDate = when instanceof Date
+    ? new Date(when)
+    : new Date(Date.now() + when * 60 * 60 * 1000);
+  
+  return this.save();
+};
+
+// Method to put the lead on the do-not-call list with a timestamped reason
+leadSchema.methods.markDoNotCall = function(reason) {
+  this.doNotCall = true;
+  this.status = 'do-not-call';
+  this.doNotCallReason = reason;
+  this.doNotCallDate = new Date();
+  
+  return this;
+};
+
+// Method to take the lead out of automatic dialing
+leadSchema.methods.retire = function(reason) {
+  this.retiredAt = new Date();
+  this.retiredReason = reason;
   
   return this.save();
 };
@@ -308,6 +363,8 @@ leadSchema.statics.findCallableLeads = function(campaignId, limit = 10) {
   return this.find({
     campaignId,
     doNotCall: false,
+    retiredAt: null,
+    'callBlock.blockedAt': null,
     status: { $nin: ['do-not-call', 'converted'] },
     $or: [
       { nextCallDate: { $exists: false } },
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const simulationRunSchema = new mongoose.Schema({
+  campaignId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+
+  // Run status
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  error: String,
+
+  // What was asked for
+  personas: [String], // persona IDs
+  runsPerPersona: Number,
+  maxTurns: Number,
+
+  // Simulated calls finished so far
+  progress: {
+    completed: {
+      type: Number,
+      default: 0
+    },
+    total: Number
+  },
+
+  // The batch report once the run has completed
+  report: mongoose.Schema.Types.Mixed,
+
+  startedAt: Date,
+  finishedAt: Date,
+
+  // Old runs are removed automatically
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+simulationRunSchema.index({ campaignId: 1, createdAt: -1 });
+simulationRunSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SimulationRun', simulationRunSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const suppressionSchema = new mongoose.Schema({
+  // What is suppressed: a single number or every number starting with a prefix
+  type: {
+    type: String,
+    enum: ['number', 'prefix'],
+    default: 'number'
+  },
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+  prefix: {
+    type: String,
+    trim: true
+  },
+
+  // Where the entry came from and why
+  source: {
+    type: String,
+    enum: ['national-dnc', 'state-dnc', 'internal', 'opt-out', 'complaint', 'litigator', 'manual'],
+    default: 'internal'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  importBatchId: String,
+  addedBy: {
+    type: String,
+    default: 'system'
+  },
+
+  // Optional expiry (e.g. registry refresh cycles)
+  expiresAt: Date,
+
+  // Match tracking
+  matchCount: {
+    type: Number,
+    default: 0
+  },
+  lastMatchedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+suppressionSchema.index({ phoneNumber: 1 }, { unique: true, sparse: true });
+suppressionSchema.index({ prefix: 1 }, { unique: true, sparse: true });
+suppressionSchema.index({ source: 1 });
+suppressionSchema.index({ importBatchId: 1 });
+
+// Validate that the entry targets something
+suppressionSchema.pre('validate', function(next) {
+  if (this.type === 'prefix' && !this.prefix) {
+    return next(new Error('prefix is required for prefix suppressions'));
+  }
+  if (this.type === 'number' && !this.phoneNumber) {
+    return next(new Error('phoneNumber is required for number suppressions'));
+  }
+  next();
+});
+
+// Virtual to check if entry is currently in effect
+suppressionSchema.virtual('isActive').get(function() {
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
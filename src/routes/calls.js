@@ -4,6 +4,11 @@ const Lead = require('../models/Lead');
 const Campaign = require('../models/Campaign');
 const twilioService = require('../services/twilioService');
 const conversationService = require('../services/conversationService');
+const retryPolicyService = require('../services/retryPolicyService');
+const suppressionService = require('../services/suppressionService');
+const consentService = require('../services/consentService');
+const jurisdictionService = require('../services/jurisdictionService');
+const budgetService = require('../services/budgetService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -122,11 +127,61 @@ router.post('/initiate', async (req, res) => {
       });
     }
 
+    // Check global suppression list
+    const suppression = await suppressionService.checkLead(lead);
+    if (suppression) {
+      return res.status(400).json({
+        error: 'Lead is not callable',
+        reason: 'Suppression list',
+        source: suppression.source,
+        details: suppression.reason
+      });
+    }
+
+    // Check call consent
+    const consent = await consentService.enforceForLead(lead, campaign);
+    if (!consent.allowed) {
+      return res.status(400).json({
+        error: 'Lead is not callable',
+        reason: 'Missing call consent',
+        details: consent.reason
+      });
+    }
+
+    // Check jurisdiction calling hours and attempt limits
+    const jurisdiction = await jurisdictionService.evaluateLead(lead, campaign);
+    if (!jurisdiction.allowed) {
+      return res.status(400).json({
+        error: 'Lead is not callable',
+        reason: 'Jurisdiction rules',
+        details: jurisdiction.reason,
+        retryAt: jurisdiction.retryAt
+      });
+    }
+
     // Check campaign status
     if (campaign.status !== 'running' && campaign.status !== 'draft') {
       return res.status(400).json({ error: 'Campaign is not active' });
     }
 
+    // Check the campaign and per-lead budget caps the dialer enforces
+    const budget = await budgetService.checkCampaign(campaign);
+    if (!budget.allowed) {
+      return res.status(400).json({
+        error: budget.reason,
+        budget: { cap: budget.cap, spent: budget.spent, limit: budget.limit }
+      });
+    }
+
+    const leadBudget = await budgetService.checkLead(lead, campaign);
+    if (!leadBudget.allowed) {
+      return res.status(400).json({
+        error: 'Lead is not callable',
+        reason: 'Per-lead budget',
+        details: leadBudget.reason
+      });
+    }
+
     // Validate Twilio configuration
     if (!twilioService.isConfigured()) {
       return res.status(500).json({ error: 'Twilio is not properly configured' });
@@ -146,10 +201,12 @@ router.post('/initiate', async (req, res) => {
     const callResult = await twilioService.makeCall(
       phoneNumber,
       webhookUrl,
-      webhookParams
+      webhookParams,
+      { machineDetection: campaign.answeringMachineDetection }
     );
 
     // Create call record
+    const attemptInfo = await retryPolicyService.getAttemptInfo(lead._id, campaign._id);
     const callData = {
       callSid: callResult.callSid,
       campaignId: campaign._id,
@@ -158,7 +215,7 @@ router.post('/initiate', async (req, res) => {
       direction: 'outbound',
       status: 'queued',
       startedAt: new Date(),
-      attemptNumber: lead.totalCalls + 1
+      ...attemptInfo
     };
 
     const call = new Call(callData);
@@ -267,7 +324,7 @@ router.put('/:id/outcome', async (req, res) => {
   try {
     const { outcome, notes, leadScore } = req.body;
 
-    const validOutcomes = ['sale', 'interested', 'not-interested', 'callback', 'voicemail', 'wrong-number', 'no-answer'];
+    const validOutcomes = ['sale', 'interested', 'not-interested', 'callback', 'voicemail', 'wrong-number', 'no-answer', 'opt-out'];
     
     if (outcome && !validOutcomes.includes(outcome)) {
       return res.status(400).json({ 
@@ -404,6 +461,12 @@ router.get('/analytics/summary', async (req, res) => {
           avgDuration: { $avg: '$duration' },
           totalDuration: { $sum: '$duration' },
           totalCost: { $sum: '$cost' },
+          llmCost: { $sum: '$costBreakdown.llm' },
+          telephonyCost: { $sum: '$costBreakdown.telephony' },
+          ttsCost: { $sum: '$costBreakdown.tts' },
+          sttCost: { $sum: '$costBreakdown.stt' },
+          inputTokens: { $sum: '$usage.inputTokens' },
+          outputTokens: { $sum: '$usage.outputTokens' },
           avgLeadScore: { $avg: '$leadScore' },
           outcomeBreakdown: {
             $push: '$outcome'
@@ -422,6 +485,12 @@ router.get('/analytics/summary', async (req, res) => {
       avgDuration: 0,
       totalDuration: 0,
       totalCost: 0,
+      llmCost: 0,
+      telephonyCost: 0,
+      ttsCost: 0,
+      sttCost: 0,
+      inputTokens: 0,
+      outputTokens: 0,
       avgLeadScore: 0,
       outcomeBreakdown: [],
       sentimentBreakdown: []
@@ -448,6 +517,7 @@ router.get('/analytics/summary', async (req, res) => {
     const completionRate = stats.totalCalls > 0 ? (stats.completedCalls / stats.totalCalls * 100) : 0;
     const successfulOutcomes = (outcomeStats.sale || 0) + (outcomeStats.interested || 0);
     const conversionRate = stats.completedCalls > 0 ? (successfulOutcomes / stats.completedCalls * 100) : 0;
+    const optOutRate = stats.completedCalls > 0 ? ((outcomeStats['opt-out'] || 0) / stats.completedCalls * 100) : 0;
 
     res.json({
       summary: {
@@ -457,6 +527,7 @@ router.get('/analytics/summary', async (req, res) => {
         answerRate: Math.round(answerRate * 100) / 100,
         completionRate: Math.round(completionRate * 100) / 100,
         conversionRate: Math.round(conversionRate * 100) / 100,
+        optOutRate: Math.round(optOutRate * 100) / 100,
         avgDuration: Math.round(stats.avgDuration || 0),
         avgDurationMinutes: Math.round((stats.avgDuration / 60) * 100) / 100,
         totalDurationHours: Math.round((stats.totalDuration / 3600) * 100) / 100,
@@ -464,6 +535,14 @@ router.get('/analytics/summary', async (req, res) => {
         costPerCall: stats.totalCalls > 0 ? Math.round((stats.totalCost / stats.totalCalls) * 10000) / 10000 : 0,
         avgLeadScore: Math.round((stats.avgLeadScore || 0) * 100) / 100
       },
+      costBreakdown: {
+        llm: Math.round((stats.llmCost || 0) * 10000) / 10000,
+        telephony: Math.round((stats.telephonyCost || 0) * 10000) / 10000,
+        tts: Math.round((stats.ttsCost || 0) * 10000) / 10000,
+        stt: Math.round((stats.sttCost || 0) * 10000) / 10000,
+        inputTokens: stats.inputTokens || 0,
+        outputTokens: stats.outputTokens || 0
+      },
       outcomeBreakdown: outcomeStats,
       sentimentBreakdown: sentimentStats
     });
@@ -479,7 +558,7 @@ router.get('/analytics/summary', async (req, res) => {
  */
 router.get('/active/conversations', async (req, res) => {
   try {
-    const activeCount = conversationService.getActiveConversationCount();
+    const activeCount = await conversationService.getActiveConversationCount();
     
     // Get active calls from database
     const activeCalls = await Call.find({
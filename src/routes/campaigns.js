@@ -7,6 +7,15 @@ const Campaign = require('../models/Campaign');
 const Lead = require('../models/Lead');
 const Call = require('../models/Call');
 const twilioService = require('../services/twilioService');
+const dialerService = require('../services/dialerService');
+const consentService = require('../services/consentService');
+const objectionService = require('../services/objectionService');
+const knowledgeService = require('../services/knowledgeService');
+const templateService = require('../services/templateService');
+const budgetService = require('../services/budgetService');
+const simulationService = require('../services/simulationService');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const SimulationRun = require('../models/SimulationRun');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -26,6 +35,24 @@ const upload = multer({
   }
 });
 
+// Knowledge base documents are kept in MongoDB, so they are read into memory
+const knowledgeUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.(md|markdown|txt|csv)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only Markdown, text and CSV files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  }
+});
+
+// Simulated calls run one after another within a request
+const MAX_SIMULATED_CALLS = 30;
+
 /**
  * Get all campaigns
  */
@@ -68,6 +95,13 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * List the personas available for simulated calls
+ */
+router.get('/personas', (req, res) => {
+  res.json({ personas: simulationService.listPersonas() });
+});
+
 /**
  * Get single campaign
  */
@@ -185,6 +219,7 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    dialerService.stop(req.params.id);
     await Campaign.findByIdAndDelete(req.params.id);
 
     logger.info('Campaign deleted', { 
@@ -221,6 +256,7 @@ router.post('/:id/leads/upload', upload.single('file'), async (req, res) => {
     }
 
     const leads = [];
+    const consentEntries = [];
     const errors = [];
     let processedCount = 0;
     const batchId = Date.now().toString();
@@ -270,10 +306,30 @@ router.post('/:id/leads/upload', upload.single('file'), async (req, res) => {
               };
             }
 
+            // Record call consent supplied by the import (consentCalls, consentDate, consentEvidence)
+            if (row.consentCalls !== undefined && row.consentCalls.trim() !== '') {
+              const granted = ['true', 'yes', 'y', '1'].includes(row.consentCalls.trim().toLowerCase());
+              const consentDate = row.consentDate ? new Date(row.consentDate) : new Date();
+              const effectiveAt = isNaN(consentDate) ? new Date() : consentDate;
+
+              leadData.consent = { calls: granted, consentDate: effectiveAt };
+              consentEntries.push({
+                phoneNumber: formattedPhone,
+                campaignId: id,
+                type: 'calls',
+                action: granted ? 'granted' : 'revoked',
+                channel: 'import',
+                importBatchId: batchId,
+                evidence: row.consentEvidence?.trim(),
+                recordedBy: req.user?.id || 'system',
+                effectiveAt
+              });
+            }
+
             // Add custom fields
             const customFields = {};
             Object.keys(row).forEach(key => {
-              if (!['firstName', 'lastName', 'phoneNumber', 'email', 'company', 'jobTitle', 'industry', 'street', 'city', 'state', 'zipCode', 'country'].includes(key)) {
+              if (!['firstName', 'lastName', 'phoneNumber', 'email', 'company', 'jobTitle', 'industry', 'street', 'city', 'state', 'zipCode', 'country', 'consentCalls', 'consentDate', 'consentEvidence'].includes(key)) {
                 customFields[key] = row[key];
               }
             });
@@ -326,6 +382,13 @@ router.post('/:id/leads/upload', upload.single('file'), async (req, res) => {
       }
     }
 
+    // Append imported consent to the ledger
+    try {
+      await consentService.recordMany(consentEntries);
+    } catch (error) {
+      insertErrors.push(`Consent import: ${error.message}`);
+    }
+
     // Update campaign statistics
     await campaign.updateStats();
 
@@ -408,6 +471,133 @@ router.get('/:id/leads', async (req, res) => {
   }
 });
 
+/**
+ * Validate campaign templates
+ */
+router.get('/:id/templates/validate', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    res.json(await templateService.validateCampaign(campaign));
+
+  } catch (error) {
+    logger.error('Error validating campaign templates', {
+      error: error.message,
+      campaignId: req.params.id
+    });
+    res.status(500).json({ error: 'Failed to validate campaign templates' });
+  }
+});
+
+/**
+ * Rehearse a campaign against synthetic prospects
+ */
+router.post('/:id/simulations', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    // Library personas by ID, or custom personas given in full
+    const requested = req.body.personas || simulationService.listPersonas().map(persona => persona.id);
+    if (!Array.isArray(requested) || requested.length === 0) {
+      return res.status(400).json({ error: 'personas must be a non-empty array' });
+    }
+    const personas = requested.map(spec => typeof spec === 'string' ? simulationService.getPersona(spec) : spec);
+
+    const unknown = requested.filter((spec, index) => !personas[index]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown personas: ${unknown.join(', ')}` });
+    }
+
+    const invalid = personas.filter(persona => !persona.id || !persona.name || !persona.goal);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Custom personas need an id, name and goal' });
+    }
+
+    const runsPerPersona = Math.max(parseInt(req.body.runsPerPersona) || 1, 1);
+    if (personas.length * runsPerPersona > MAX_SIMULATED_CALLS) {
+      return res.status(400).json({ error: `A simulation can run at most ${MAX_SIMULATED_CALLS} calls` });
+    }
+
+    // Calls take minutes, so the batch runs in the background
+    const run = await simulationService.startRun(campaign, personas, {
+      runsPerPersona,
+      maxTurns: parseInt(req.body.maxTurns) || undefined
+    });
+
+    logger.info('Campaign simulation started', {
+      campaignId: req.params.id,
+      runId: run._id,
+      calls: run.progress.total
+    });
+
+    res.status(202).json({
+      id: run._id,
+      status: run.status,
+      progress: run.progress,
+      statusUrl: `/api/campaigns/${req.params.id}/simulations/${run._id}`
+    });
+
+  } catch (error) {
+    logger.error('Error running campaign simulation', {
+      error: error.message,
+      campaignId: req.params.id
+    });
+    res.status(500).json({ error: 'Failed to run simulation' });
+  }
+});
+
+/**
+ * List a campaign's recent simulation runs, without their reports
+ */
+router.get('/:id/simulations', async (req, res) => {
+  try {
+    const runs = await SimulationRun.find({ campaignId: req.params.id })
+      .select('-report')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({ runs });
+
+  } catch (error) {
+    logger.error('Error fetching simulation runs', {
+      error: error.message,
+      campaignId: req.params.id
+    });
+    res.status(500).json({ error: 'Failed to fetch simulation runs' });
+  }
+});
+
+/**
+ * Get a simulation run's progress, and its report once it has completed
+ */
+router.get('/:id/simulations/:runId', async (req, res) => {
+  try {
+    const run = await simulationService.getRun(req.params.id, req.params.runId);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Simulation run not found' });
+    }
+
+    res.json(run);
+
+  } catch (error) {
+    logger.error('Error fetching simulation run', {
+      error: error.message,
+      campaignId: req.params.id,
+      runId: req.params.runId
+    });
+    res.status(500).json({ error: 'Failed to fetch simulation run' });
+  }
+});
+
 /**
  * Start campaign
  */
@@ -434,11 +624,35 @@ router.post('/:id/start', async (req, res) => {
       return res.status(400).json({ error: 'Twilio is not properly configured' });
     }
 
+    // Block leads without valid call consent before any dialing
+    const consentSummary = await consentService.enforceForCampaign(campaign);
+    if (consentSummary.checked > 0 && consentSummary.allowed === 0) {
+      return res.status(400).json({
+        error: 'No leads with valid call consent',
+        consent: consentSummary
+      });
+    }
+
+    // Refuse to start a campaign that has already spent its budget
+    const budget = await budgetService.checkCampaign(campaign);
+    if (!budget.allowed) {
+      return res.status(400).json({
+        error: budget.reason,
+        budget: { cap: budget.cap, spent: budget.spent, limit: budget.limit }
+      });
+    }
+
     // Update campaign status
     campaign.status = 'running';
+    campaign.pausedReason = undefined;
+    campaign.pausedUntil = undefined;
     campaign.actualStart = new Date();
     await campaign.save();
 
+    // Begin automated dialing
+    dialerService.cancelResume(campaign._id);
+    dialerService.start(campaign._id);
+
     logger.info('Campaign started', { 
       campaignId: req.params.id, 
       name: campaign.name,
@@ -461,7 +675,8 @@ router.post('/:id/start', async (req, res) => {
         name: campaign.name,
         status: campaign.status,
         actualStart: campaign.actualStart
-      }
+      },
+      consent: consentSummary
     });
 
   } catch (error) {
@@ -484,14 +699,21 @@ router.post('/:id/stop', async (req, res) => {
       return res.status(404).json({ error: 'Campaign not found' });
     }
 
-    if (campaign.status !== 'running') {
+    // A campaign paused until its daily budget resets can be stopped so it stays paused
+    if (campaign.status !== 'running' && !(campaign.status === 'paused' && campaign.pausedUntil)) {
       return res.status(400).json({ error: 'Campaign is not running' });
     }
 
     // Update campaign status
     campaign.status = 'paused';
+    campaign.pausedReason = undefined;
+    campaign.pausedUntil = undefined;
     await campaign.save();
 
+    // Stop placing new calls; calls already in progress finish normally
+    dialerService.stop(campaign._id);
+    dialerService.cancelResume(campaign._id);
+
     logger.info('Campaign stopped', { 
       campaignId: req.params.id, 
       name: campaign.name 
@@ -502,6 +724,7 @@ router.post('/:id/stop', async (req, res) => {
       req.io.emit('campaignStopped', {
         campaignId: req.params.id,
         name: campaign.name,
+        reason: 'Stopped manually',
         timestamp: new Date()
       });
     }
@@ -524,6 +747,153 @@ router.post('/:id/stop', async (req, res) => {
   }
 });
 
+/**
+ * Add a knowledge base document (Markdown, text or question/answer CSV)
+ */
+router.post('/:id/knowledge', knowledgeUpload.single('file'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const name = req.body.name || req.file?.originalname;
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!name || !content) {
+      return res.status(400).json({ error: 'Upload a file or provide name and content' });
+    }
+
+    const format = req.body.format || knowledgeService.detectFormat(name);
+
+    let chunks;
+    try {
+      chunks = await knowledgeService.parseDocument(format, content);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (chunks.length === 0) {
+      return res.status(400).json({ error: 'Document has no usable text' });
+    }
+
+    const document = await knowledgeService.addDocument(campaign._id, {
+      name,
+      format,
+      content,
+      chunks,
+      uploadedBy: req.body.uploadedBy
+    });
+
+    res.status(201).json({
+      id: document._id,
+      name: document.name,
+      format: document.format,
+      chunks: document.chunks.length,
+      createdAt: document.createdAt
+    });
+
+  } catch (error) {
+    logger.error('Error adding knowledge document', {
+      error: error.message,
+      campaignId: req.params.id
+    });
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to add knowledge document' });
+  }
+});
+
+/**
+ * List a campaign's knowledge base documents
+ */
+router.get('/:id/knowledge', async (req, res) => {
+  try {
+    const documents = await KnowledgeDocument.find({ campaignId: req.params.id })
+      .select('-content')
+      .sort({ createdAt: -1 });
+
+    res.json(documents.map(document => ({
+      id: document._id,
+      name: document.name,
+      format: document.format,
+      active: document.active,
+      chunks: document.chunks.length,
+      uploadedBy: document.uploadedBy,
+      createdAt: document.createdAt
+    })));
+
+  } catch (error) {
+    logger.error('Error fetching knowledge documents', {
+      error: error.message,
+      campaignId: req.params.id
+    });
+    res.status(500).json({ error: 'Failed to fetch knowledge documents' });
+  }
+});
+
+/**
+ * Preview which passages the agent would be given for a question
+ */
+router.get('/:id/knowledge/search', async (req, res) => {
+  try {
+    if (!req.query.q) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    const passages = await knowledgeService.retrieve(req.params.id, req.query.q, {
+      limit: parseInt(req.query.limit) || undefined
+    });
+
+    res.json({ query: req.query.q, passages });
+
+  } catch (error) {
+    logger.error('Error searching knowledge base', {
+      error: error.message,
+      campaignId: req.params.id
+    });
+    res.status(500).json({ error: 'Failed to search knowledge base' });
+  }
+});
+
+/**
+ * Remove a knowledge base document
+ */
+router.delete('/:id/knowledge/:documentId', async (req, res) => {
+  try {
+    const document = await KnowledgeDocument.findOneAndDelete({
+      _id: req.params.documentId,
+      campaignId: req.params.id
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: 'Knowledge document not found' });
+    }
+
+    knowledgeService.invalidateCache(req.params.id);
+
+    logger.info('Knowledge document deleted', {
+      campaignId: req.params.id,
+      documentId: req.params.documentId
+    });
+
+    res.json({ message: 'Knowledge document deleted' });
+
+  } catch (error) {
+    logger.error('Error deleting knowledge document', {
+      error: error.message,
+      campaignId: req.params.id,
+      documentId: req.params.documentId
+    });
+    res.status(500).json({ error: 'Failed to delete knowledge document' });
+  }
+});
+
 /**
  * Get campaign analytics
  */
@@ -551,6 +921,18 @@ router.get('/:id/analytics', async (req, res) => {
           avgDuration: { $avg: '$duration' },
           totalDuration: { $sum: '$duration' },
           totalCost: { $sum: '$cost' },
+          llmCost: { $sum: '$costBreakdown.llm' },
+          telephonyCost: { $sum: '$costBreakdown.telephony' },
+          ttsCost: { $sum: '$costBreakdown.tts' },
+          sttCost: { $sum: '$costBreakdown.stt' },
+          inputTokens: { $sum: '$usage.inputTokens' },
+          outputTokens: { $sum: '$usage.outputTokens' },
+          transfers: {
+            $sum: { $cond: [{ $ifNull: ['$transfer.requestedAt', false] }, 1, 0] }
+          },
+          connectedTransfers: {
+            $sum: { $cond: [{ $in: [{ $ifNull: ['$transfer.status', null] }, ['answered', 'completed']] }, 1, 0] }
+          },
           outcomes: {
             $push: '$outcome'
           }
@@ -565,9 +947,33 @@ router.get('/:id/analytics', async (req, res) => {
       avgDuration: 0,
       totalDuration: 0,
       totalCost: 0,
+      llmCost: 0,
+      telephonyCost: 0,
+      ttsCost: 0,
+      sttCost: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      transfers: 0,
+      connectedTransfers: 0,
       outcomes: []
     };
 
+    // LLM spend by task, to see which step of the call costs most
+    const llmCostByTask = await Call.aggregate([
+      { $match: { campaignId: campaign._id } },
+      { $unwind: '$llmUsage' },
+      {
+        $group: {
+          _id: '$llmUsage.task',
+          requests: { $sum: 1 },
+          inputTokens: { $sum: '$llmUsage.inputTokens' },
+          outputTokens: { $sum: '$llmUsage.outputTokens' },
+          cost: { $sum: '$llmUsage.cost' }
+        }
+      },
+      { $sort: { cost: -1 } }
+    ]);
+
     // Calculate outcome breakdown
     const outcomeBreakdown = {};
     stats.outcomes.forEach(outcome => {
@@ -578,6 +984,7 @@ router.get('/:id/analytics', async (req, res) => {
     const answerRate = stats.totalCalls > 0 ? (stats.answeredCalls / stats.totalCalls * 100) : 0;
     const completionRate = stats.totalCalls > 0 ? (stats.completedCalls / stats.totalCalls * 100) : 0;
     const conversionRate = campaign.stats.conversionRate || 0;
+    const optOutRate = stats.completedCalls > 0 ? ((outcomeBreakdown['opt-out'] || 0) / stats.completedCalls * 100) : 0;
 
     res.json({
       campaign: {
@@ -590,16 +997,32 @@ router.get('/:id/analytics', async (req, res) => {
         answerRate: Math.round(answerRate * 100) / 100,
         completionRate: Math.round(completionRate * 100) / 100,
         conversionRate: Math.round(conversionRate * 100) / 100,
+        optOutRate: Math.round(optOutRate * 100) / 100,
+        transferConnectRate: stats.transfers > 0 ? Math.round((stats.connectedTransfers / stats.transfers) * 10000) / 100 : 0,
         avgDurationMinutes: Math.round((stats.avgDuration / 60) * 100) / 100,
         totalDurationHours: Math.round((stats.totalDuration / 3600) * 100) / 100,
         costPerCall: stats.totalCalls > 0 ? Math.round((stats.totalCost / stats.totalCalls) * 10000) / 10000 : 0
       },
+      costBreakdown: {
+        llm: Math.round((stats.llmCost || 0) * 10000) / 10000,
+        telephony: Math.round((stats.telephonyCost || 0) * 10000) / 10000,
+        tts: Math.round((stats.ttsCost || 0) * 10000) / 10000,
+        stt: Math.round((stats.sttCost || 0) * 10000) / 10000,
+        byTask: llmCostByTask.map(({ _id, cost, ...task }) => ({
+          task: _id,
+          ...task,
+          cost: Math.round(cost * 10000) / 10000
+        }))
+      },
+      spend: await budgetService.getForecast(campaign),
       outcomeBreakdown,
+      objectionStats: await objectionService.getStats(campaign),
       leadStats: {
         total: campaign.stats.totalLeads,
         contacted: await Lead.countDocuments({ campaignId: req.params.id, status: { $ne: 'new' } }),
         interested: await Lead.countDocuments({ campaignId: req.params.id, status: 'interested' }),
-        converted: await Lead.countDocuments({ campaignId: req.params.id, status: 'converted' })
+        converted: await Lead.countDocuments({ campaignId: req.params.id, status: 'converted' }),
+        optedOut: await Lead.countDocuments({ campaignId: req.params.id, doNotCall: true })
       }
     });
 
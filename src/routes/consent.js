@@ -0,0 +1,92 @@
+const express = require('express');
+const consentService = require('../services/consentService');
+const suppressionService = require('../services/suppressionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Record a consent grant or revocation
+ */
+router.post('/', async (req, res) => {
+  try {
+    const {
+      phoneNumber,
+      type,
+      action,
+      channel,
+      leadId,
+      campaignId,
+      callSid,
+      evidence,
+      effectiveAt,
+      expiresAt
+    } = req.body;
+
+    if (!phoneNumber || !action || !channel) {
+      return res.status(400).json({ error: 'phoneNumber, action and channel are required' });
+    }
+
+    const record = await consentService.record({
+      phoneNumber,
+      type,
+      action,
+      channel,
+      leadId,
+      campaignId,
+      callSid,
+      evidence,
+      effectiveAt,
+      expiresAt,
+      ipAddress: req.ip,
+      recordedBy: req.user?.id || 'system'
+    });
+
+    res.status(201).json(record);
+
+  } catch (error) {
+    logger.error('Error recording consent', { error: error.message, data: req.body });
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to record consent' });
+  }
+});
+
+/**
+ * Get current consent status and full history for a phone number
+ */
+router.get('/:phoneNumber', async (req, res) => {
+  try {
+    const { phoneNumber } = req.params;
+    const { type } = req.query;
+
+    const [history, calls, marketing, dataProcessing] = await Promise.all([
+      consentService.getHistory(phoneNumber, type),
+      consentService.getStatus(phoneNumber, 'calls'),
+      consentService.getStatus(phoneNumber, 'marketing'),
+      consentService.getStatus(phoneNumber, 'dataProcessing')
+    ]);
+
+    res.json({
+      phoneNumber: suppressionService.normalizeNumber(phoneNumber),
+      status: {
+        calls: calls.status,
+        marketing: marketing.status,
+        dataProcessing: dataProcessing.status
+      },
+      history
+    });
+
+  } catch (error) {
+    logger.error('Error fetching consent', { error: error.message, phoneNumber: req.params.phoneNumber });
+    res.status(500).json({ error: 'Failed to fetch consent' });
+  }
+});
+
+module.exports = router;
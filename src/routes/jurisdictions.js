@@ -0,0 +1,171 @@
+const express = require('express');
+const JurisdictionRule = require('../models/JurisdictionRule');
+const Lead = require('../models/Lead');
+const Campaign = require('../models/Campaign');
+const jurisdictionService = require('../services/jurisdictionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Get jurisdiction rules
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { country, state, areaCode, active } = req.query;
+
+    const query = {};
+    if (country) query.country = country.toUpperCase();
+    if (state) query.state = state.toUpperCase();
+    if (areaCode) query.areaCode = areaCode;
+    if (active !== undefined) query.active = active === 'true';
+
+    const rules = await JurisdictionRule.find(query).sort({ country: 1, state: 1, areaCode: 1 });
+
+    res.json(rules);
+
+  } catch (error) {
+    logger.error('Error fetching jurisdiction rules', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch jurisdiction rules' });
+  }
+});
+
+/**
+ * Show which rules apply to a lead and whether it may be called now
+ */
+router.get('/lead/:leadId', async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.leadId);
+
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const campaign = await Campaign.findById(lead.campaignId);
+    const rules = await jurisdictionService.getRules();
+
+    const [evaluation, disclosures] = await Promise.all([
+      jurisdictionService.evaluateLead(lead, campaign),
+      jurisdictionService.getDisclosures(lead)
+    ]);
+
+    res.json({
+      leadId: lead._id,
+      areaCode: jurisdictionService.getAreaCode(lead.phoneNumber),
+      rules: jurisdictionService.matchRules(lead, rules),
+      ...evaluation,
+      disclosures
+    });
+
+  } catch (error) {
+    logger.error('Error evaluating jurisdiction rules', {
+      error: error.message,
+      leadId: req.params.leadId
+    });
+    res.status(500).json({ error: 'Failed to evaluate jurisdiction rules' });
+  }
+});
+
+/**
+ * Create one rule, or several when the body is an array
+ */
+router.post('/', async (req, res) => {
+  try {
+    const rules = await JurisdictionRule.create(req.body);
+    jurisdictionService.invalidateCache();
+
+    logger.info('Jurisdiction rules created', {
+      count: Array.isArray(rules) ? rules.length : 1
+    });
+
+    res.status(201).json(rules);
+
+  } catch (error) {
+    logger.error('Error creating jurisdiction rule', { error: error.message, data: req.body });
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A rule for this jurisdiction already exists' });
+    }
+
+    res.status(500).json({ error: 'Failed to create jurisdiction rule' });
+  }
+});
+
+/**
+ * Update a rule
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const rule = await JurisdictionRule.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Jurisdiction rule not found' });
+    }
+
+    jurisdictionService.invalidateCache();
+
+    logger.info('Jurisdiction rule updated', {
+      ruleId: rule._id,
+      name: rule.name
+    });
+
+    res.json(rule);
+
+  } catch (error) {
+    logger.error('Error updating jurisdiction rule', {
+      error: error.message,
+      ruleId: req.params.id
+    });
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to update jurisdiction rule' });
+  }
+});
+
+/**
+ * Delete a rule
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await JurisdictionRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Jurisdiction rule not found' });
+    }
+
+    jurisdictionService.invalidateCache();
+
+    logger.info('Jurisdiction rule deleted', {
+      ruleId: rule._id,
+      name: rule.name
+    });
+
+    res.json({ message: 'Jurisdiction rule deleted successfully' });
+
+  } catch (error) {
+    logger.error('Error deleting jurisdiction rule', {
+      error: error.message,
+      ruleId: req.params.id
+    });
+    res.status(500).json({ error: 'Failed to delete jurisdiction rule' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const Suppression = require('../models/Suppression');
+const suppressionService = require('../services/suppressionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Configure multer for DNC list uploads
+const upload = multer({
+  dest: 'uploads/',
+  fileFilter: (req, file, cb) => {
+    if (['text/csv', 'text/plain'].includes(file.mimetype) || /\.(csv|txt)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or text files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200MB limit, registry files are large
+  }
+});
+
+/**
+ * Get suppression entries
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { source, type, search, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (source) query.source = source;
+    if (type) query.type = type;
+    const digits = (search || '').replace(/\D/g, '');
+    if (digits) {
+      query.$or = [
+        { phoneNumber: { $regex: digits } },
+        { prefix: { $regex: digits } }
+      ];
+    }
+
+    const options = {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    };
+
+    const entries = await Suppression.find(query)
+      .sort({ createdAt: -1 })
+      .limit(options.limit)
+      .skip((options.page - 1) * options.limit);
+
+    const total = await Suppression.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: {
+        page: options.page,
+        limit: options.limit,
+        total,
+        pages: Math.ceil(total / options.limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching suppression entries', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch suppression entries' });
+  }
+});
+
+/**
+ * Check whether a phone number is suppressed
+ */
+router.get('/check/:phoneNumber', async (req, res) => {
+  try {
+    const entry = await suppressionService.check(req.params.phoneNumber);
+
+    res.json({
+      phoneNumber: suppressionService.normalizeNumber(req.params.phoneNumber),
+      suppressed: !!entry,
+      entry
+    });
+
+  } catch (error) {
+    logger.error('Error checking suppression', { error: error.message });
+    res.status(500).json({ error: 'Failed to check suppression' });
+  }
+});
+
+/**
+ * Add a number or prefix to the suppression list
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { phoneNumber, prefix, source, reason, expiresAt } = req.body;
+
+    if (!phoneNumber && !prefix) {
+      return res.status(400).json({ error: 'phoneNumber or prefix is required' });
+    }
+
+    const entry = await suppressionService.add({
+      phoneNumber,
+      prefix,
+      source,
+      reason,
+      expiresAt,
+      addedBy: req.user?.id || 'system'
+    });
+
+    res.status(201).json(entry);
+
+  } catch (error) {
+    logger.error('Error adding suppression entry', { error: error.message, data: req.body });
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({ error: 'Failed to add suppression entry' });
+  }
+});
+
+/**
+ * Import a DNC list file
+ */
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { source = 'national-dnc', reason, expiresAt } = req.body;
+
+    const summary = await suppressionService.importFile(file.path, {
+      source,
+      reason,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      addedBy: req.user?.id || 'system'
+    });
+
+    // Clean up uploaded file
+    fs.unlinkSync(file.path);
+
+    res.json({
+      message: 'Suppression list imported successfully',
+      summary: {
+        ...summary,
+        errors: summary.errors.slice(0, 10) // Limit error responses
+      }
+    });
+
+  } catch (error) {
+    // Clean up file if it exists
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    logger.error('Error importing suppression list', { error: error.message });
+    res.status(500).json({ error: 'Failed to import suppression list' });
+  }
+});
+
+/**
+ * Remove a suppression entry
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const entry = await Suppression.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Suppression entry not found' });
+    }
+
+    logger.info('Suppression entry removed', {
+      entryId: entry._id,
+      type: entry.type,
+      source: entry.source
+    });
+
+    res.json({ message: 'Suppression entry removed successfully' });
+
+  } catch (error) {
+    logger.error('Error removing suppression entry', {
+      error: error.message,
+      entryId: req.params.id
+    });
+    res.status(500).json({ error: 'Failed to remove suppression entry' });
+  }
+});
+
+module.exports = router;
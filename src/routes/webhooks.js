@@ -1,6 +1,9 @@
 const express = require('express');
 const twilioService = require('../services/twilioService');
 const conversationService = require('../services/conversationService');
+const retryPolicyService = require('../services/retryPolicyService');
+const mediaStreamService = require('../services/mediaStreamService');
+const costService = require('../services/costService');
 const logger = require('../utils/logger');
 const Call = require('../models/Call');
 const Lead = require('../models/Lead');
@@ -13,7 +16,7 @@ const router = express.Router();
  */
 router.post('/twilio/voice', async (req, res) => {
   try {
-    const { CallSid, From, To, CallStatus, Direction } = req.body;
+    const { CallSid, From, To, CallStatus, Direction, AnsweredBy } = req.body;
     
     // Extract custom data from URL parameters
     const { campaignId, leadId } = req.query;
@@ -24,6 +27,7 @@ router.post('/twilio/voice', async (req, res) => {
       to: To,
       status: CallStatus,
       direction: Direction,
+      answeredBy: AnsweredBy,
       campaignId,
       leadId
     });
@@ -50,23 +54,40 @@ router.post('/twilio/voice', async (req, res) => {
       return res.type('text/xml').send(twiml);
     }
 
+    // Mark the call record in progress, creating it if the call was not
+    // placed through this server
+    const attemptInfo = await retryPolicyService.getAttemptInfo(lead._id, campaign._id);
+
+    await Call.findOneAndUpdate(
+      { callSid: CallSid },
+      {
+        $set: { status: 'in-progress', ...(AnsweredBy && { answeredBy: AnsweredBy }) },
+        $setOnInsert: {
+          campaignId: campaign._id,
+          leadId: lead._id,
+          phoneNumber: lead.phoneNumber,
+          direction: Direction || 'outbound',
+          startedAt: new Date(),
+          ...attemptInfo
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    // Answering machine detection: leave a voicemail instead of pitching
+    if (twilioService.isMachineAnswer(AnsweredBy)) {
+      const twiml = await conversationService.handleMachineAnswer(CallSid, lead, campaign, AnsweredBy);
+      return res.type('text/xml').send(twiml);
+    }
+
     // Initialize conversation
     const conversation = await conversationService.initializeConversation(CallSid, lead, campaign);
 
-    // Create initial call record
-    const callData = {
-      callSid: CallSid,
-      campaignId: campaign._id,
-      leadId: lead._id,
-      phoneNumber: lead.phoneNumber,
-      direction: Direction || 'outbound',
-      status: 'in-progress',
-      startedAt: new Date(),
-      attemptNumber: lead.totalCalls + 1
-    };
-
-    const call = new Call(callData);
-    await call.save();
+    // Streaming campaigns speak the opening over the media stream instead
+    if (campaign.streaming?.enabled) {
+      const twiml = twilioService.generateStreamTwiML(mediaStreamService.getStreamUrl(), { callSid: CallSid });
+      return res.type('text/xml').send(twiml);
+    }
 
     // Generate opening message
     const twiml = await conversationService.generateOpeningMessage(conversation);
@@ -151,6 +172,33 @@ router.post('/twilio/gather', async (req, res) => {
   }
 });
 
+/**
+ * Twilio webhook handler for the rest of a streamed AI reply
+ */
+router.post('/twilio/continue', async (req, res) => {
+  try {
+    const callSid = req.body.CallSid || req.query.callSid;
+
+    const twiml = await conversationService.continueResponse(callSid);
+
+    res.type('text/xml').send(twiml);
+
+  } catch (error) {
+    logger.error('Error in Twilio continue webhook', {
+      error: error.message,
+      callSid: req.body.CallSid || req.query.callSid,
+      stack: error.stack
+    });
+
+    const twiml = twilioService.generateTwiML(
+      "I apologize, I'm having technical difficulties. Let me end this call.",
+      { gatherInput: false }
+    );
+
+    res.type('text/xml').send(twiml);
+  }
+});
+
 /**
  * Twilio webhook handler for call status updates
  */
@@ -193,9 +241,22 @@ router.post('/twilio/status', async (req, res) => {
       { new: true }
     );
 
+    if (CallStatus === 'completed') {
+      await costService.recordTelephony(CallSid, parseInt(CallDuration) || 0);
+    }
+
     // End conversation if call completed
-    if (CallStatus === 'completed' || CallStatus === 'failed' || CallStatus === 'busy' || CallStatus === 'no-answer') {
-      await conversationService.endConversation(CallSid, CallStatus);
+    if (['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(CallStatus)) {
+      const summary = await conversationService.endConversation(CallSid, CallStatus);
+
+      // Calls that never connected have no conversation; schedule the retry here
+      if (!summary) {
+        await retryPolicyService.handleUnansweredCall(CallSid, CallStatus);
+      }
+
+      // Calls the agent ended, voicemails and unanswered calls were rolled up
+      // before their telephony cost was known, or never were
+      await costService.refreshCampaignStats(CallSid);
     }
 
     // Emit real-time update via WebSocket
@@ -221,6 +282,98 @@ router.post('/twilio/status', async (req, res) => {
   }
 });
 
+/**
+ * Twilio webhook that whispers the transfer summary to the rep before connecting
+ */
+router.post('/twilio/whisper', async (req, res) => {
+  try {
+    // Dialed numbers pass the prospect's call in the query; queue dequeues
+    // post the prospect's CallSid
+    const callSid = req.query.callSid || req.body.CallSid;
+
+    const call = await Call.findOne({ callSid }).populate('campaignId', 'voiceSettings');
+    const summary = call?.transfer?.summary || 'Incoming transfer from the AI sales agent.';
+
+    logger.info('Transfer whisper requested', { callSid });
+
+    const twiml = twilioService.generateTwiML(summary, {
+      voice: call?.campaignId?.voiceSettings?.voice || 'alice',
+      language: call?.campaignId?.voiceSettings?.language || 'en-US',
+      pauseAfter: 0
+    });
+
+    res.type('text/xml').send(twiml);
+
+  } catch (error) {
+    logger.error('Error in Twilio whisper webhook', {
+      error: error.message,
+      callSid: req.query.callSid || req.body.CallSid
+    });
+
+    // Connect the rep anyway
+    res.type('text/xml').send(twilioService.generateTwiML('Incoming transfer.', { pauseAfter: 0 }));
+  }
+});
+
+/**
+ * Twilio webhook handler for the result of a warm transfer
+ */
+router.post('/twilio/transfer-status', async (req, res) => {
+  try {
+    const { callSid } = req.query;
+    const { DialCallStatus, DialCallDuration, QueueResult, QueueTime } = req.body;
+
+    // Queue transfers report a QueueResult instead of a dial status
+    const queueStatuses = { bridged: 'completed', hangup: 'canceled', 'queue-full': 'busy' };
+    const status = DialCallStatus || queueStatuses[QueueResult] || 'failed';
+    const connected = ['answered', 'completed'].includes(status);
+
+    const call = await Call.findOneAndUpdate(
+      { callSid },
+      {
+        $set: {
+          'transfer.status': status,
+          'transfer.duration': parseInt(DialCallDuration || QueueTime) || 0,
+          'transfer.endedAt': new Date()
+        }
+      },
+      { new: true }
+    ).populate('campaignId', 'transfer voiceSettings');
+
+    logger.info('Transfer finished', {
+      callSid,
+      status,
+      queueResult: QueueResult
+    });
+
+    if (req.io) {
+      req.io.emit('callTransferUpdate', {
+        callSid,
+        status,
+        timestamp: new Date()
+      });
+    }
+
+    const campaign = call?.campaignId;
+    const twiml = connected
+      ? twilioService.generateHangupTwiML(null)
+      : twilioService.generateHangupTwiML(campaign?.transfer?.unavailableMessage, {
+        voice: campaign?.voiceSettings?.voice || 'alice',
+        language: campaign?.voiceSettings?.language || 'en-US'
+      });
+
+    res.type('text/xml').send(twiml);
+
+  } catch (error) {
+    logger.error('Error in Twilio transfer status webhook', {
+      error: error.message,
+      callSid: req.query.callSid
+    });
+
+    res.type('text/xml').send(twilioService.generateHangupTwiML(null));
+  }
+});
+
 /**
  * Twilio webhook handler for recording notifications
  */
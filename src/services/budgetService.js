@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const Call = require('../models/Call');
+const Lead = require('../models/Lead');
+const { getZonedTime, fromZonedTime } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of spend the burn rate is averaged over
+const BURN_RATE_DAYS = 7;
+
+class BudgetService {
+  /**
+   * Get the start of the campaign's current day
+   * @param {Object} campaign - Campaign document
+   * @param {Date} now - Current time
+   * @returns {Date} Midnight in the campaign's timezone
+   */
+  getStartOfDay(campaign, now = new Date()) {
+    const timezone = campaign.workingHours?.timezone;
+    const { year, month, day } = getZonedTime(now, timezone);
+    return fromZonedTime({ year, month, day }, timezone);
+  }
+
+  /**
+   * Sum the cost of calls matching a query
+   * @param {Object} match - Call query
+   * @returns {Promise<Object>} { cost, calls, leads }
+   */
+  async getSpend(match) {
+    const [result] = await Call.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          cost: { $sum: '$cost' },
+          calls: { $sum: 1 },
+          leads: { $addToSet: '$leadId' }
+        }
+      }
+    ]);
+
+    return {
+      cost: result?.cost || 0,
+      calls: result?.calls || 0,
+      leads: result?.leads.length || 0
+    };
+  }
+
+  /**
+   * Check a campaign against its daily and total caps
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<Object>} { allowed, cap, spent, limit, reason, resetsAt } - resetsAt is set for the daily cap
+   */
+  async checkCampaign(campaign) {
+    const { dailyLimit, totalLimit } = campaign.budget || {};
+    const campaignId = new mongoose.Types.ObjectId(String(campaign._id));
+
+    if (totalLimit > 0) {
+      const { cost } = await this.getSpend({ campaignId });
+      if (cost >= totalLimit) {
+        return {
+          allowed: false,
+          cap: 'total',
+          spent: cost,
+          limit: totalLimit,
+          reason: `Total budget of $${totalLimit} reached ($${cost.toFixed(2)} spent)`
+        };
+      }
+    }
+
+    if (dailyLimit > 0) {
+      const startOfDay = this.getStartOfDay(campaign);
+      const { cost } = await this.getSpend({
+        campaignId,
+        createdAt: { $gte: startOfDay }
+      });
+      if (cost >= dailyLimit) {
+        return {
+          allowed: false,
+          cap: 'daily',
+          spent: cost,
+          limit: dailyLimit,
+          reason: `Daily budget of $${dailyLimit} reached ($${cost.toFixed(2)} spent today)`,
+          // Any time 36 hours after midnight falls on the next day, DST or not
+          resetsAt: this.getStartOfDay(campaign, new Date(startOfDay.getTime() + 1.5 * DAY_MS))
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Check what a lead has cost against the campaign's per-lead ceiling
+   * @param {Object} lead - Lead document
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<Object>} { allowed, spent, limit, reason }
+   */
+  async checkLead(lead, campaign) {
+    const perLeadLimit = campaign.budget?.perLeadLimit;
+    if (!(perLeadLimit > 0)) {
+      return { allowed: true };
+    }
+
+    const { cost } = await this.getSpend({
+      campaignId: new mongoose.Types.ObjectId(String(campaign._id)),
+      leadId: new mongoose.Types.ObjectId(String(lead._id))
+    });
+
+    if (cost >= perLeadLimit) {
+      return {
+        allowed: false,
+        spent: cost,
+        limit: perLeadLimit,
+        reason: `Per-lead budget of $${perLeadLimit} reached ($${cost.toFixed(2)} spent)`
+      };
+    }
+
+    return { allowed: true, spent: cost, limit: perLeadLimit };
+  }
+
+  /**
+   * Count leads the dialer may still call
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<number>} Lead count
+   */
+  async countRemainingLeads(campaignId) {
+    return Lead.countDocuments({
+      campaignId,
+      doNotCall: false,
+      retiredAt: null,
+      'callBlock.blockedAt': null,
+      status: { $nin: ['do-not-call', 'converted'] }
+    });
+  }
+
+  /**
+   * Measure how fast a campaign spends and project its spend to completion.
+   * The remaining leads are assumed to cost what the leads called so far
+   * cost on average, at the recent daily burn rate.
+   * @param {Object} campaign - Campaign document
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { spent, spentToday, burnRate, projection, budget }
+   */
+  async getForecast(campaign, now = new Date()) {
+    const campaignId = new mongoose.Types.ObjectId(String(campaign._id));
+    const windowStart = new Date(now.getTime() - BURN_RATE_DAYS * DAY_MS);
+
+    const [total, today, recent, remainingLeads] = await Promise.all([
+      this.getSpend({ campaignId }),
+      this.getSpend({ campaignId, createdAt: { $gte: this.getStartOfDay(campaign, now) } }),
+      this.getSpend({ campaignId, createdAt: { $gte: windowStart } }),
+      this.countRemainingLeads(campaignId)
+    ]);
+
+    // A campaign younger than the window is averaged over the days it has run
+    const startedAt = campaign.actualStart || campaign.createdAt || windowStart;
+    const days = Math.min(BURN_RATE_DAYS, Math.max(1, Math.ceil((now - startedAt) / DAY_MS)));
+    const perDay = recent.cost / days;
+
+    const costPerLead = total.leads > 0 ? total.cost / total.leads : 0;
+    const remainingCost = remainingLeads * costPerLead;
+    const { dailyLimit, totalLimit, perLeadLimit } = campaign.budget || {};
+
+    const round = value => Math.round(value * 10000) / 10000;
+
+    return {
+      spent: round(total.cost),
+      spentToday: round(today.cost),
+      burnRate: {
+        perDay: round(perDay),
+        perCall: total.calls > 0 ? round(total.cost / total.calls) : 0,
+        perLead: round(costPerLead)
+      },
+      projection: {
+        remainingLeads,
+        remainingCost: round(remainingCost),
+        totalCost: round(total.cost + remainingCost),
+        daysToCompletion: perDay > 0 ? Math.round((remainingCost / perDay) * 10) / 10 : null
+      },
+      budget: {
+        dailyLimit: dailyLimit ?? null,
+        totalLimit: totalLimit ?? null,
+        perLeadLimit: perLeadLimit ?? null,
+        remaining: totalLimit > 0 ? round(Math.max(totalLimit - total.cost, 0)) : null,
+        projectedOverrun: totalLimit > 0 ? round(Math.max(total.cost + remainingCost - totalLimit, 0)) : null
+      }
+    };
+  }
+
+  /**
+   * Log a budget cap being hit
+   * @param {Object} campaign - Campaign document
+   * @param {Object} check - Result of checkCampaign or checkLead
+   * @param {Object} meta - Extra log fields
+   */
+  logCapReached(campaign, check, meta = {}) {
+    logger.warn('Budget cap reached', {
+      campaignId: campaign._id,
+      cap: check.cap || 'per-lead',
+      spent: check.spent,
+      limit: check.limit,
+      ...meta
+    });
+  }
+}
+
+module.exports = new BudgetService();
@@ -0,0 +1,245 @@
+const suppressionService = require('./suppressionService');
+const logger = require('../utils/logger');
+const ConsentRecord = require('../models/ConsentRecord');
+const Lead = require('../models/Lead');
+
+const LEAD_CONSENT_FIELDS = {
+  calls: 'consent.calls',
+  marketing: 'consent.marketing',
+  dataProcessing: 'consent.dataProcessing'
+};
+
+class ConsentService {
+  /**
+   * Append a consent grant or revocation to the ledger and sync lead flags
+   * @param {Object} data - { phoneNumber, type, action, channel, recordedBy, leadId, campaignId, importBatchId, callSid, evidence, ipAddress, effectiveAt, expiresAt }
+   * @returns {Promise<Object>} Consent record
+   */
+  async record(data) {
+    const phoneNumber = suppressionService.normalizeNumber(data.phoneNumber);
+    const type = data.type || 'calls';
+
+    const record = await ConsentRecord.create({
+      ...data,
+      phoneNumber,
+      type
+    });
+
+    await this.syncLeads(phoneNumber, record);
+
+    logger.info('Consent recorded', {
+      recordId: record._id,
+      phoneNumber,
+      type,
+      action: record.action,
+      channel: record.channel
+    });
+
+    return record;
+  }
+
+  /**
+   * Append records for many numbers at once (e.g. a lead import)
+   * @param {Array} entries - Record data as accepted by record()
+   * @returns {Promise<number>} Number of records written
+   */
+  async recordMany(entries) {
+    if (entries.length === 0) return 0;
+
+    const records = await ConsentRecord.insertMany(entries.map(entry => ({
+      ...entry,
+      phoneNumber: suppressionService.normalizeNumber(entry.phoneNumber),
+      type: entry.type || 'calls'
+    })));
+
+    logger.info('Consent records imported', {
+      count: records.length,
+      importBatchId: entries[0].importBatchId
+    });
+
+    return records.length;
+  }
+
+  /**
+   * Get the consent history for a phone number, newest first
+   * @param {string} phoneNumber - Phone number
+   * @param {string} type - Optional consent type filter
+   * @returns {Promise<Array>} Consent records
+   */
+  async getHistory(phoneNumber, type = null) {
+    const query = { phoneNumber: suppressionService.normalizeNumber(phoneNumber) };
+    if (type) query.type = type;
+
+    return ConsentRecord.find(query).sort({ effectiveAt: -1, createdAt: -1 });
+  }
+
+  /**
+   * Get the current consent status for a phone number
+   * @param {string} phoneNumber - Phone number
+   * @param {string} type - Consent type
+   * @returns {Promise<Object>} { status: 'granted'|'revoked'|'expired'|'none', record }
+   */
+  async getStatus(phoneNumber, type = 'calls') {
+    const record = await ConsentRecord.findOne({
+      phoneNumber: suppressionService.normalizeNumber(phoneNumber),
+      type,
+      effectiveAt: { $lte: new Date() }
+    }).sort({ effectiveAt: -1, createdAt: -1 });
+
+    if (!record) {
+      return { status: 'none', record: null };
+    }
+
+    if (record.action === 'revoked') {
+      return { status: 'revoked', record };
+    }
+
+    if (record.expiresAt && record.expiresAt <= new Date()) {
+      return { status: 'expired', record };
+    }
+
+    return { status: 'granted', record };
+  }
+
+  /**
+   * Decide whether a lead may be called under a campaign's consent rules
+   * @param {Object} lead - Lead document
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<Object>} { allowed, reason, record }
+   */
+  async evaluateLead(lead, campaign) {
+    const requirements = campaign?.consentRequirements || {};
+    const { status, record } = await this.getStatus(lead.phoneNumber, 'calls');
+
+    switch (status) {
+      case 'revoked':
+        return {
+          allowed: false,
+          reason: `Call consent revoked on ${record.effectiveAt.toISOString()} via ${record.channel}`,
+          record
+        };
+
+      case 'expired':
+        return {
+          allowed: false,
+          reason: `Call consent expired on ${record.expiresAt.toISOString()}`,
+          record
+        };
+
+      case 'granted': {
+        const maxAgeDays = requirements.maxAgeDays;
+        if (maxAgeDays && record.effectiveAt < new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000)) {
+          return {
+            allowed: false,
+            reason: `Call consent from ${record.effectiveAt.toISOString()} is older than ${maxAgeDays} days`,
+            record
+          };
+        }
+        return { allowed: true, reason: `Call consent granted via ${record.channel}`, record };
+      }
+
+      default:
+        if (requirements.requireLedgerRecord) {
+          return { allowed: false, reason: 'No call consent on record', record: null };
+        }
+        if (lead.consent?.calls === false) {
+          return { allowed: false, reason: 'Lead is not flagged as consenting to calls', record: null };
+        }
+        return { allowed: true, reason: 'Lead consent flag', record: null };
+    }
+  }
+
+  /**
+   * Evaluate a lead and block or unblock it for calling accordingly
+   * @param {Object} lead - Lead document
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<Object>} { allowed, reason, record }
+   */
+  async enforceForLead(lead, campaign) {
+    const result = await this.evaluateLead(lead, campaign);
+
+    if (!result.allowed) {
+      // Only write the audit note when the block is new or its reason changed
+      if (lead.callBlock?.reason !== result.reason) {
+        lead.callBlock = { source: 'consent', reason: result.reason, blockedAt: new Date() };
+        lead.notes.push({
+          content: `Skipped for calling: ${result.reason}`,
+          addedBy: 'system'
+        });
+        await lead.save();
+      }
+
+      logger.warn('Lead skipped for missing call consent', {
+        leadId: lead._id,
+        campaignId: campaign?._id,
+        reason: result.reason
+      });
+    } else if (lead.callBlock?.source === 'consent') {
+      lead.callBlock = undefined;
+      await lead.save();
+    }
+
+    return result;
+  }
+
+  /**
+   * Enforce consent across every dialable lead in a campaign
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<Object>} { checked, allowed, blocked }
+   */
+  async enforceForCampaign(campaign) {
+    const summary = { checked: 0, allowed: 0, blocked: 0 };
+
+    const cursor = Lead.find({
+      campaignId: campaign._id,
+      doNotCall: false,
+      status: { $nin: ['do-not-call', 'converted'] }
+    }).cursor();
+
+    for await (const lead of cursor) {
+      const result = await this.enforceForLead(lead, campaign);
+      summary.checked++;
+      if (result.allowed) {
+        summary.allowed++;
+      } else {
+        summary.blocked++;
+      }
+    }
+
+    logger.info('Consent enforced for campaign', {
+      campaignId: campaign._id,
+      ...summary
+    });
+
+    return summary;
+  }
+
+  /**
+   * Mirror the latest ledger entry onto lead consent flags
+   * @param {string} phoneNumber - Normalized phone number
+   * @param {Object} record - Consent record just written
+   * @returns {Promise<void>}
+   */
+  async syncLeads(phoneNumber, record) {
+    const field = LEAD_CONSENT_FIELDS[record.type];
+    const granted = record.action === 'granted';
+    const filter = { phoneNumber };
+    if (record.leadId) {
+      delete filter.phoneNumber;
+      filter.$or = [{ phoneNumber }, { _id: record.leadId }];
+    }
+
+    await Lead.updateMany(filter, {
+      $set: { [field]: granted, 'consent.consentDate': record.effectiveAt }
+    });
+
+    if (record.type === 'calls' && granted) {
+      await Lead.updateMany(
+        { ...filter, 'callBlock.source': 'consent' },
+        { $unset: { callBlock: 1 } }
+      );
+    }
+  }
+}
+
+module.exports = new ConsentService();
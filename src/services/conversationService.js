@@ -1,13 +1,36 @@
 const openaiService = require('./openaiService');
 const twilioService = require('./twilioService');
+const retryPolicyService = require('./retryPolicyService');
+const suppressionService = require('./suppressionService');
+const consentService = require('./consentService');
+const jurisdictionService = require('./jurisdictionService');
+const scriptFlowService = require('./scriptFlowService');
+const objectionService = require('./objectionService');
+const knowledgeService = require('./knowledgeService');
+const guardrailService = require('./guardrailService');
+const inputScreeningService = require('./inputScreeningService');
+const templateService = require('./templateService');
+const { createConversationStore } = require('./conversationStore');
+const { ResponseStream } = require('./responseStream');
 const logger = require('../utils/logger');
+const { getZonedTime, parseLocalDateTime, formatForSpeech } = require('../utils/timezone');
 const Call = require('../models/Call');
 const Lead = require('../models/Lead');
 const Campaign = require('../models/Campaign');
 
 class ConversationService {
   constructor() {
-    this.activeConversations = new Map(); // Store active conversation states
+    this.store = createConversationStore(); // Active conversation states by callSid
+    this.pendingResponses = new Map(); // callSid -> AI response still streaming on this instance
+    this.simulationResults = new Map(); // callSid -> summary of a finished simulated call
+  }
+
+  /**
+   * Replace the conversation store (e.g. with an in-memory store)
+   * @param {Object} store - Store implementing get/set/remove/count
+   */
+  setStore(store) {
+    this.store = store;
   }
 
   /**
@@ -15,10 +38,13 @@ class ConversationService {
    * @param {string} callSid - Twilio call SID
    * @param {Object} lead - Lead information
    * @param {Object} campaign - Campaign information
+   * @param {Object} options - { simulated } for rehearsal calls that must not touch call, lead or suppression records
    * @returns {Object} Conversation context
    */
-  async initializeConversation(callSid, lead, campaign) {
+  async initializeConversation(callSid, lead, campaign, options = {}) {
     try {
+      const timezone = lead.getTimezone(campaign.workingHours?.timezone);
+
       const conversationContext = {
         callSid,
         leadId: lead._id,
@@ -27,14 +53,22 @@ class ConversationService {
         campaign,
         conversationHistory: [],
         currentStep: 'opening',
+        flow: scriptFlowService.initialize(campaign),
         startTime: new Date(),
+        timezone,
+        requestedCallback: null,
+        awaitingCallbackTime: false,
+        simulated: !!options.simulated,
         callContext: {
           callNumber: lead.totalCalls + 1,
-          timeOfDay: this.getTimeOfDay()
+          timeOfDay: this.getTimeOfDay(timezone),
+          requestedCallback: lead.status === 'callback' && lead.requestedCallback?.at
+            ? `on ${formatForSpeech(lead.requestedCallback.at, timezone)}`
+            : null
         }
       };
 
-      this.activeConversations.set(callSid, conversationContext);
+      await this.store.set(callSid, conversationContext);
 
       logger.info('Conversation initialized', {
         callSid,
@@ -62,11 +96,25 @@ class ConversationService {
    * @returns {Promise<string>} TwiML response
    */
   async handleCustomerSpeech(callSid, customerSpeech) {
+    const turn = await this.processCustomerSpeech(callSid, customerSpeech);
+    return turn.twiml;
+  }
+
+  /**
+   * Work out the agent's reply to customer speech. Shared by the gather
+   * webhook and media streams, which speak the message themselves.
+   * @param {string} callSid - Twilio call SID
+   * @param {string} customerSpeech - What customer said
+   * @param {Object} options - { incremental } leaves a streamed AI reply for the caller to read via takeResponse
+   * @returns {Promise<Object>} { message, twiml, continues, streamed } - continues is false once the call is ending or handed off
+   */
+  async processCustomerSpeech(callSid, customerSpeech, options = {}) {
     try {
-      const conversation = this.activeConversations.get(callSid);
+      const conversation = await this.store.get(callSid);
       if (!conversation) {
         logger.error('No active conversation found', { callSid });
-        return twilioService.generateHangupTwiML('Thank you for calling. Goodbye!');
+        const message = 'Thank you for calling. Goodbye!';
+        return { message, twiml: twilioService.generateHangupTwiML(message), continues: false };
       }
 
       // Add customer speech to conversation history
@@ -82,46 +130,103 @@ class ConversationService {
         conversationLength: conversation.conversationHistory.length
       });
 
+      // Keep prompt injection and abuse away from the AI; opt-outs are still honored
+      const flags = inputScreeningService.screen(customerSpeech, conversation.campaign);
+      if (flags.length > 0 && !this.isOptOutRequest(customerSpeech)) {
+        return await this.handleFlaggedSpeech(conversation, customerSpeech, flags);
+      }
+
+      // Pick the playbook responses for any objection the prospect raised
+      conversation.matchedObjections = objectionService.match(conversation.campaign, customerSpeech);
+      this.recordObjections(conversation, conversation.matchedObjections);
+
+      // Record qualification answers and move the script along
+      scriptFlowService.recordCustomerTurn(conversation, customerSpeech);
+
+      // Opt-out requests take priority over everything else
+      if (this.isOptOutRequest(customerSpeech)) {
+        return await this.handleOptOut(conversation, customerSpeech);
+      }
+
+      // Hand the call to a rep when the prospect asks for a person
+      if (this.canTransfer(conversation.campaign) && this.isTransferRequest(customerSpeech)) {
+        return await this.handleTransfer(conversation, 'customer-request');
+      }
+
+      // Check for callback requests ("call me Tuesday after 3")
+      if (conversation.awaitingCallbackTime || this.isCallbackRequest(customerSpeech)) {
+        const callbackTurn = await this.handleCallbackRequest(conversation, customerSpeech);
+        if (callbackTurn) {
+          return callbackTurn;
+        }
+      }
+
       // Check for call termination requests
       if (this.shouldEndCall(customerSpeech)) {
-        await this.endConversation(callSid, 'customer-requested');
-        return twilioService.generateHangupTwiML(
-          conversation.campaign.script?.closing || 'Thank you for your time. Goodbye!'
-        );
+        await this.endConversation(callSid, 'customer-requested', conversation, { background: true });
+        const closing = this.renderForLead(conversation, conversation.campaign.script?.closing || 'Thank you for your time. Goodbye!');
+        return { message: closing, twiml: twilioService.generateHangupTwiML(closing), continues: false };
+      }
+
+      // Wrap up calls that have run past the campaign's turn or duration limit
+      const limitViolation = guardrailService.checkCallLimits(conversation);
+      if (limitViolation) {
+        return await this.handleGuardrailLimit(conversation, limitViolation);
+      }
+
+      // Speak the reply sentence by sentence while the rest is generated
+      if (conversation.campaign.aiSettings?.streamResponses) {
+        await this.retrieveKnowledge(conversation, customerSpeech);
+
+        // The stream lives in this process; the marker in the shared store
+        // lets a continue webhook that reaches another instance generate the
+        // reply again there
+        conversation.pendingResponse = { startedAt: new Date() };
+        await this.saveConversationState(conversation);
+
+        this.startResponseStream(conversation);
+        if (options.incremental) {
+          return { message: null, twiml: null, continues: true, streamed: true };
+        }
+        return await this.takeFirstResponseTurn(conversation);
       }
 
       // Generate AI response
-      const aiResponse = await this.generateAIResponse(conversation, customerSpeech);
+      const { text, toolCalls } = await this.generateAIResponse(conversation, customerSpeech);
+      let aiResponse = text;
+
+      // Carry out actions the AI asked for; some of them end the call
+      if (toolCalls.length > 0) {
+        const toolOutcome = await this.executeToolCalls(conversation, text, toolCalls);
+        if (toolOutcome.turn) {
+          return toolOutcome.turn;
+        }
+        aiResponse = toolOutcome.message;
+      }
+
+      // Check the reply against the campaign's rules before it is spoken
+      aiResponse = await this.applyGuardrails(conversation, aiResponse);
+
+      // The AI signals a transfer when it spots strong buying intent
+      if (openaiService.isTransferSignal(aiResponse) && this.canTransfer(conversation.campaign)) {
+        return await this.handleTransfer(conversation, 'buying-intent');
+      }
       
-      // Add AI response to conversation history
+      // Add AI response to conversation history, citing the passages it used
       conversation.conversationHistory.push({
         speaker: 'agent',
         message: aiResponse,
-        timestamp: new Date()
+        timestamp: new Date(),
+        citations: knowledgeService.attribute(aiResponse, conversation.knowledgePassages)
       });
 
       // Update conversation step based on response
       this.updateConversationStep(conversation, aiResponse);
 
-      // Generate TwiML with AI response
-      const continueUrl = `${process.env.BASE_URL}/api/webhooks/twilio/gather?callSid=${callSid}`;
-      
-      const twiml = twilioService.generateTwiML(aiResponse, {
-        voice: conversation.campaign.voiceSettings?.voice || 'alice',
-        language: conversation.campaign.voiceSettings?.language || 'en-US',
-        gatherInput: true,
-        continueUrl,
-        gatherOptions: {
-          action: continueUrl,
-          timeout: 5,
-          noInputMessage: "I didn't hear anything. Are you still there?"
-        }
-      });
-
       // Save conversation state to database
       await this.saveConversationState(conversation);
 
-      return twiml;
+      return this.continueTurn(conversation, aiResponse);
 
     } catch (error) {
       logger.error('Failed to handle customer speech', {
@@ -131,17 +236,693 @@ class ConversationService {
       });
 
       // Return error handling TwiML
-      return twilioService.generateTwiML(
-        "I apologize, I didn't quite catch that. Could you please repeat?",
-        {
+      const message = "I apologize, I didn't quite catch that. Could you please repeat?";
+      return {
+        message,
+        twiml: twilioService.generateTwiML(message, {
           gatherInput: true,
           gatherOptions: {
             action: `${process.env.BASE_URL}/api/webhooks/twilio/gather?callSid=${callSid}`,
             timeout: 5
           }
+        }),
+        continues: true
+      };
+    }
+  }
+
+  /**
+   * Build the turn result for an agent message that expects a reply
+   * @param {Object} conversation - Conversation context
+   * @param {string} message - Agent message
+   * @param {string} noInputMessage - Said when the customer stays silent
+   * @returns {Object} { message, twiml, continues }
+   */
+  continueTurn(conversation, message, noInputMessage = "I didn't hear anything. Are you still there?") {
+    const continueUrl = `${process.env.BASE_URL}/api/webhooks/twilio/gather?callSid=${conversation.callSid}`;
+
+    const twiml = twilioService.generateTwiML(message, {
+      voice: conversation.campaign.voiceSettings?.voice || 'alice',
+      language: conversation.campaign.voiceSettings?.language || 'en-US',
+      gatherInput: true,
+      continueUrl,
+      gatherOptions: {
+        action: continueUrl,
+        timeout: 5,
+        noInputMessage
+      }
+    });
+
+    return { message, twiml, continues: true };
+  }
+
+  /**
+   * Build the turn result for part of a streamed reply. Twilio says it and
+   * then fetches the next part from the continue webhook.
+   * @param {Object} conversation - Conversation context
+   * @param {string} message - Sentences ready so far
+   * @returns {Object} { message, twiml, continues }
+   */
+  partialTurn(conversation, message) {
+    const twiml = twilioService.generateTwiML(message, {
+      voice: conversation.campaign.voiceSettings?.voice || 'alice',
+      language: conversation.campaign.voiceSettings?.language || 'en-US',
+      pauseAfter: 0,
+      continueUrl: `${process.env.BASE_URL}/api/webhooks/twilio/continue?callSid=${conversation.callSid}`
+    });
+
+    return { message, twiml, continues: true };
+  }
+
+  /**
+   * Start streaming the AI reply to the latest customer speech
+   * @param {Object} conversation - Conversation context
+   * @returns {Object} Pending response
+   */
+  startResponseStream(conversation) {
+    const { context, options } = this.getGenerationRequest(conversation);
+    const source = this.guardSentences(conversation, openaiService.streamResponse(conversation.conversationHistory, context, {
+      ...options,
+      timeoutMs: conversation.campaign.aiSettings?.maxResponseMs || 8000
+    }));
+
+    const stream = new ResponseStream(source, {
+      fallback: "I understand. Can you tell me more about that?"
+    });
+
+    const pending = { conversation, stream };
+    pending.finalized = stream.done
+      .then(text => this.finishStreamedResponse(conversation, stream, text))
+      .catch(error => {
+        logger.error('Failed to save streamed AI response', {
+          error: error.message,
+          callSid: conversation.callSid
+        });
+      });
+
+    this.pendingResponses.set(conversation.callSid, pending);
+    return pending;
+  }
+
+  /**
+   * Check streamed sentences against the campaign's rules as they arrive.
+   * A sentence that would run past the length limit ends the reply; any
+   * other violation replaces the rest of the reply with the safe response.
+   * @param {Object} conversation - Conversation context
+   * @param {AsyncIterable<string>} source - Sentence source
+   * @returns {AsyncGenerator<string>} Sentences that passed
+   */
+  async *guardSentences(conversation, source) {
+    const { campaign } = conversation;
+    let priorWords = 0;
+
+    for await (const sentence of source) {
+      if (openaiService.isTransferSignal(sentence)) {
+        yield sentence;
+        continue;
+      }
+
+      const violations = guardrailService.checkResponse(sentence, campaign, {
+        knowledge: conversation.knowledgePassages || [],
+        priorWords
+      });
+
+      if (violations.length === 0) {
+        priorWords += guardrailService.countWords(sentence);
+        yield sentence;
+        continue;
+      }
+
+      const lengthOnly = violations.every(violation => violation.rule === 'response-length');
+      const action = lengthOnly && priorWords > 0 ? 'truncated' : 'replaced';
+      violations.forEach(violation => this.recordGuardrailViolation(conversation, violation, sentence, action));
+
+      if (action === 'replaced') {
+        yield guardrailService.getSafeResponse(campaign);
+      }
+      return;
+    }
+  }
+
+  /**
+   * Record a fully streamed reply in the conversation
+   * @param {Object} conversation - Conversation context
+   * @param {Object} stream - Response stream the text came from
+   * @param {string} text - Full reply
+   * @returns {Promise<void>}
+   */
+  async finishStreamedResponse(conversation, stream, text) {
+    // Skip replies to calls that have since ended or been transferred
+    if (this.pendingResponses.get(conversation.callSid)?.stream !== stream) {
+      return;
+    }
+
+    conversation.pendingResponse = null;
+
+    if (!text || openaiService.isTransferSignal(text)) {
+      await this.saveConversationState(conversation);
+      return;
+    }
+
+    conversation.conversationHistory.push({
+      speaker: 'agent',
+      message: text,
+      timestamp: new Date(),
+      citations: knowledgeService.attribute(text, conversation.knowledgePassages)
+    });
+
+    this.updateConversationStep(conversation, text);
+    await this.saveConversationState(conversation);
+
+    logger.debug('Streamed AI response completed', {
+      callSid: conversation.callSid,
+      responseLength: text.length
+    });
+  }
+
+  /**
+   * Take the sentences of a streamed reply that have not been spoken yet
+   * @param {string} callSid - Twilio call SID
+   * @param {number} timeoutMs - Longest wait for a new sentence
+   * @returns {Promise<Object>} { sentences, finished, turn } - turn is set when the reply hands the call to a rep
+   */
+  async takeResponse(callSid, timeoutMs = null) {
+    const pending = this.pendingResponses.get(callSid);
+    if (!pending) {
+      return { sentences: [], finished: true, turn: null };
+    }
+
+    const { conversation, stream } = pending;
+    const sentences = await stream.take(timeoutMs);
+
+    // The AI signals a transfer when it spots strong buying intent
+    const transferRequested = sentences.some(sentence => openaiService.isTransferSignal(sentence));
+    if (transferRequested && this.canTransfer(conversation.campaign)) {
+      this.pendingResponses.delete(callSid);
+      const turn = await this.handleTransfer(conversation, 'buying-intent');
+      return { sentences: [], finished: true, turn };
+    }
+
+    const spoken = sentences.filter(sentence => !openaiService.isTransferSignal(sentence));
+
+    if (stream.isExhausted()) {
+      await pending.finalized;
+      this.pendingResponses.delete(callSid);
+      return { sentences: spoken, finished: true, turn: null };
+    }
+
+    return { sentences: spoken, finished: false, turn: null };
+  }
+
+  /**
+   * Wait up to the latency budget for the start of a streamed reply, saying
+   * a filler phrase if the model has not produced a sentence by then
+   * @param {Object} conversation - Conversation context
+   * @returns {Promise<Object>} Turn result
+   */
+  async takeFirstResponseTurn(conversation) {
+    const latencyBudgetMs = conversation.campaign.aiSettings?.latencyBudgetMs || 1200;
+    const { sentences, finished, turn } = await this.takeResponse(conversation.callSid, latencyBudgetMs);
+
+    if (turn) {
+      return turn;
+    }
+
+    if (finished) {
+      return this.continueTurn(conversation, sentences.join(' '));
+    }
+
+    if (sentences.length === 0) {
+      logger.debug('AI response over latency budget, using filler', {
+        callSid: conversation.callSid,
+        latencyBudgetMs
+      });
+      return this.partialTurn(conversation, this.getFillerPhrase(conversation.campaign));
+    }
+
+    return this.partialTurn(conversation, sentences.join(' '));
+  }
+
+  /**
+   * Continue a streamed reply from the continue webhook
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<string>} TwiML response
+   */
+  async continueResponse(callSid) {
+    try {
+      const pending = this.pendingResponses.get(callSid);
+      if (!pending) {
+        const conversation = await this.store.get(callSid);
+        if (!conversation) {
+          return twilioService.generateHangupTwiML('Thank you for calling. Goodbye!');
+        }
+
+        // The reply is streaming on another instance, or was lost in a
+        // restart; generate it again here. The caller may hear again what
+        // was already said.
+        if (conversation.pendingResponse) {
+          logger.info('Streamed response not on this instance, regenerating', { callSid });
+          this.startResponseStream(conversation);
+          return (await this.takeFirstResponseTurn(conversation)).twiml;
         }
+
+        // No reply is pending; ask the customer again
+        return this.continueTurn(conversation, 'Sorry, could you say that again?').twiml;
+      }
+
+      const { sentences, finished, turn } = await this.takeResponse(callSid);
+      if (turn) {
+        return turn.twiml;
+      }
+
+      const message = sentences.join(' ');
+      if (finished) {
+        return this.continueTurn(pending.conversation, message).twiml;
+      }
+
+      return this.partialTurn(pending.conversation, message).twiml;
+
+    } catch (error) {
+      logger.error('Failed to continue streamed response', {
+        error: error.message,
+        callSid
+      });
+
+      return twilioService.generateTwiML("I apologize, I didn't quite catch that. Could you please repeat?", {
+        gatherInput: true,
+        gatherOptions: {
+          action: `${process.env.BASE_URL}/api/webhooks/twilio/gather?callSid=${callSid}`,
+          timeout: 5
+        }
+      });
+    }
+  }
+
+  /**
+   * Pick a filler phrase to say while the AI is still thinking
+   * @param {Object} campaign - Campaign information
+   * @returns {string} Filler phrase
+   */
+  getFillerPhrase(campaign) {
+    const phrases = campaign.aiSettings?.fillerPhrases?.length > 0
+      ? campaign.aiSettings.fillerPhrases
+      : ['Let me think about that for a second.'];
+
+    return phrases[Math.floor(Math.random() * phrases.length)];
+  }
+
+  /**
+   * Respond to screened-out customer speech without consulting the AI:
+   * deflect, warn, or end the call once the customer is out of warnings
+   * @param {Object} conversation - Conversation context
+   * @param {string} customerSpeech - What customer said
+   * @param {Array} flags - Flags { category, match }
+   * @returns {Promise<Object>} Turn result
+   */
+  async handleFlaggedSpeech(conversation, customerSpeech, flags) {
+    const { callSid, campaign } = conversation;
+    const action = inputScreeningService.getAction(flags, campaign, conversation.screeningWarnings || 0);
+    const message = inputScreeningService.getMessage(action, campaign);
+
+    // Withhold the flagged speech from later prompts
+    conversation.conversationHistory[conversation.conversationHistory.length - 1].flagged = true;
+
+    conversation.flaggedTurns = conversation.flaggedTurns || [];
+    conversation.flaggedTurns.push({
+      speech: customerSpeech,
+      categories: flags.map(flag => flag.category),
+      matches: flags.map(flag => flag.match),
+      action,
+      flaggedAt: new Date()
+    });
+    inputScreeningService.logFlaggedTurn(callSid, flags, action);
+
+    conversation.conversationHistory.push({
+      speaker: 'agent',
+      message,
+      timestamp: new Date()
+    });
+
+    if (action === 'end-call') {
+      // The hang-up line is spoken while the call is analyzed
+      await this.endConversation(callSid, 'flagged-speech', conversation, { background: true });
+      return {
+        message,
+        twiml: twilioService.generateHangupTwiML(message, {
+          voice: campaign.voiceSettings?.voice || 'alice',
+          language: campaign.voiceSettings?.language || 'en-US'
+        }),
+        continues: false
+      };
+    }
+
+    if (action === 'warn') {
+      conversation.screeningWarnings = (conversation.screeningWarnings || 0) + 1;
+    }
+
+    await this.saveConversationState(conversation);
+    return this.continueTurn(conversation, message);
+  }
+
+  /**
+   * Honor an opt-out: confirm it to the caller, suppress the number and end the call
+   * @param {Object} conversation - Conversation context
+   * @param {string} customerSpeech - What customer said
+   * @returns {Promise<Object>} Turn result
+   */
+  async handleOptOut(conversation, customerSpeech) {
+    const { callSid, campaign, lead } = conversation;
+    const confirmation = this.renderForLead(conversation, campaign.script?.optOutConfirmation ||
+      "I understand. I've removed your number from our call list and you won't receive any more calls from us. Goodbye.");
+
+    conversation.conversationHistory.push({
+      speaker: 'agent',
+      message: confirmation,
+      timestamp: new Date()
+    });
+
+    logger.info('Opt-out requested by customer', {
+      callSid,
+      leadId: lead._id,
+      customerSpeech
+    });
+
+    // Record the opt-out before anything else so it holds even if analysis fails.
+    // Synthetic prospects on simulated calls are on no call list.
+    if (!conversation.simulated) {
+      try {
+        await suppressionService.recordOptOut(lead, {
+          callSid,
+          campaignId: conversation.campaignId,
+          phrase: customerSpeech
+        });
+        await consentService.record({
+          phoneNumber: lead.phoneNumber,
+          leadId: lead._id,
+          campaignId: conversation.campaignId,
+          type: 'calls',
+          action: 'revoked',
+          channel: 'phone',
+          callSid,
+          evidence: customerSpeech
+        });
+      } catch (error) {
+        logger.error('Failed to record opt-out', {
+          error: error.message,
+          callSid,
+          leadId: lead._id
+        });
+      }
+    }
+
+    // The confirmation is spoken while the call is analyzed
+    await this.endConversation(callSid, 'opt-out', conversation, { background: true });
+
+    return {
+      message: confirmation,
+      twiml: twilioService.generateHangupTwiML(confirmation, {
+        voice: campaign.voiceSettings?.voice || 'alice',
+        language: campaign.voiceSettings?.language || 'en-US'
+      }),
+      continues: false
+    };
+  }
+
+  /**
+   * Warm-transfer the call to a human rep, whispering a summary to the rep first
+   * @param {Object} conversation - Conversation context
+   * @param {string} reason - 'customer-request' or 'buying-intent'
+   * @returns {Promise<Object>} Turn result
+   */
+  async handleTransfer(conversation, reason) {
+    const { callSid, campaign, lead } = conversation;
+    const settings = campaign.transfer;
+    const voiceOptions = {
+      voice: campaign.voiceSettings?.voice || 'alice',
+      language: campaign.voiceSettings?.language || 'en-US'
+    };
+
+    conversation.conversationHistory.push({
+      speaker: 'agent',
+      message: settings.announcement,
+      timestamp: new Date()
+    });
+
+    // The call stays live with the rep, so its record is left open for the
+    // status callback to complete
+    if (!conversation.simulated) {
+      await Call.findOneAndUpdate(
+        { callSid },
+        {
+          $set: {
+            transfer: {
+              reason,
+              targetType: settings.targetType,
+              target: settings.target,
+              requestedAt: new Date(),
+              status: 'initiated'
+            }
+          }
+        }
+      );
+    }
+
+    // Connect the caller straight away. The summary for the rep and the call
+    // analysis are finished while the rep's phone rings; the whisper falls
+    // back to a generic line if the summary is not ready yet.
+    await this.endConversation(callSid, 'transferred', conversation, { background: true });
+    if (!conversation.simulated) {
+      this.recordTransferSummary(conversation, reason);
+    }
+
+    logger.info('Call transferred to human rep', {
+      callSid,
+      leadId: lead._id,
+      reason,
+      targetType: settings.targetType
+    });
+
+    const webhookBase = `${process.env.BASE_URL}/api/webhooks/twilio`;
+
+    return {
+      message: settings.announcement,
+      twiml: twilioService.generateTransferTwiML(settings.announcement, {
+        ...voiceOptions,
+        targetType: settings.targetType,
+        target: settings.target,
+        timeout: settings.timeout,
+        whisperUrl: `${webhookBase}/whisper?callSid=${callSid}`,
+        actionUrl: `${webhookBase}/transfer-status?callSid=${callSid}`
+      }),
+      continues: false
+    };
+  }
+
+  /**
+   * Generate the summary whispered to the rep on a transfer and store it on the call
+   * @param {Object} conversation - Conversation context
+   * @param {string} reason - 'customer-request' or 'buying-intent'
+   * @returns {Promise<void>}
+   */
+  async recordTransferSummary(conversation, reason) {
+    const { callSid, campaign, lead } = conversation;
+
+    try {
+      const summary = await openaiService.generateTransferSummary(
+        conversation.conversationHistory,
+        lead,
+        reason,
+        { campaign, callSid }
       );
+
+      await Call.updateOne({ callSid }, { $set: { 'transfer.summary': summary } });
+    } catch (error) {
+      logger.error('Failed to record transfer summary', {
+        error: error.message,
+        callSid
+      });
+    }
+  }
+
+  /**
+   * Handle a call answered by voicemail or fax: leave the campaign's voicemail
+   * after the beep, record the outcome and let the retry policy schedule the lead
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} lead - Lead document
+   * @param {Object} campaign - Campaign document
+   * @param {string} answeredBy - Twilio AnsweredBy value
+   * @returns {Promise<string>} TwiML response
+   */
+  async handleMachineAnswer(callSid, lead, campaign, answeredBy) {
+    const settings = campaign.answeringMachineDetection || {};
+    const outcome = answeredBy === 'fax' ? 'wrong-number' : 'voicemail';
+
+    // A message can only be left once the greeting has finished
+    const leaveVoicemail = outcome === 'voicemail' &&
+      settings.leaveVoicemail !== false &&
+      !!settings.voicemailMessage &&
+      answeredBy.startsWith('machine_end');
+
+    let message = null;
+    if (leaveVoicemail) {
+      const disclosures = await jurisdictionService.getDisclosures(lead);
+      message = [...disclosures, this.replacePlaceholders(settings.voicemailMessage, lead, { campaign })].join(' ');
+    }
+
+    await Call.findOneAndUpdate(
+      { callSid },
+      {
+        $set: {
+          answeredBy,
+          outcome,
+          voicemailLeft: leaveVoicemail,
+          conversation: message ? [{ speaker: 'agent', message, timestamp: new Date() }] : []
+        }
+      }
+    );
+
+    try {
+      await lead.updateScore(outcome);
+      await retryPolicyService.applyOutcome(lead, campaign, outcome);
+    } catch (error) {
+      logger.error('Failed to update lead after machine answer', {
+        error: error.message,
+        callSid,
+        leadId: lead._id
+      });
+    }
+
+    logger.info('Call answered by machine', {
+      callSid,
+      leadId: lead._id,
+      answeredBy,
+      voicemailLeft: leaveVoicemail
+    });
+
+    return twilioService.generateHangupTwiML(message, {
+      voice: campaign.voiceSettings?.voice || 'alice',
+      language: campaign.voiceSettings?.language || 'en-US'
+    });
+  }
+
+  /**
+   * Resolve a callback request to a concrete time and confirm it to the caller
+   * @param {Object} conversation - Conversation context
+   * @param {string} customerSpeech - What customer said
+   * @returns {Promise<Object|null>} Turn result, or null to continue normally
+   */
+  async handleCallbackRequest(conversation, customerSpeech) {
+    const { callSid, timezone } = conversation;
+    const wasAwaiting = conversation.awaitingCallbackTime;
+    conversation.awaitingCallbackTime = false;
+
+    const parsed = await openaiService.parseCallbackRequest(customerSpeech, {
+      timezone,
+      campaign: conversation.campaign,
+      callSid
+    });
+    if (!parsed.callbackRequested && !wasAwaiting) {
+      return null;
+    }
+
+    const callbackAt = this.resolveCallbackTime(parsed.localDateTime, timezone);
+
+    if (!callbackAt) {
+      // Ask once for a concrete time; if that fails too, carry on normally
+      if (wasAwaiting) {
+        return null;
+      }
+
+      const question = 'Of course. What day and time would be best for me to call you back?';
+      conversation.awaitingCallbackTime = true;
+      conversation.conversationHistory.push({
+        speaker: 'agent',
+        message: question,
+        timestamp: new Date()
+      });
+      await this.saveConversationState(conversation);
+
+      return this.continueTurn(conversation, question);
+    }
+
+    logger.info('Callback requested by customer', {
+      callSid,
+      callbackAt,
+      description: parsed.description
+    });
+
+    return await this.confirmCallback(conversation, callbackAt, customerSpeech);
+  }
+
+  /**
+   * Record an agreed callback time, confirm it to the caller and end the call
+   * @param {Object} conversation - Conversation context
+   * @param {Date} callbackAt - Callback time
+   * @param {string} originalText - What the customer said
+   * @returns {Promise<Object>} Turn result
+   */
+  async confirmCallback(conversation, callbackAt, originalText) {
+    const { callSid, campaign, timezone } = conversation;
+
+    conversation.requestedCallback = {
+      at: callbackAt,
+      requestedAt: new Date(),
+      originalText
+    };
+
+    const confirmation = `No problem. I'll call you back on ${formatForSpeech(callbackAt, timezone)}. Thank you, and talk to you then!`;
+    conversation.conversationHistory.push({
+      speaker: 'agent',
+      message: confirmation,
+      timestamp: new Date()
+    });
+
+    // Save the agreed time now so it holds even if the analysis fails, then
+    // say goodbye without waiting for the analysis
+    if (!conversation.simulated) {
+      try {
+        await Lead.updateOne(
+          { _id: conversation.leadId },
+          { $set: { requestedCallback: conversation.requestedCallback, nextCallDate: callbackAt } }
+        );
+      } catch (error) {
+        logger.error('Failed to save callback time', {
+          error: error.message,
+          callSid,
+          leadId: conversation.leadId
+        });
+      }
     }
+
+    await this.endConversation(callSid, 'callback-requested', conversation, { background: true });
+
+    return {
+      message: confirmation,
+      twiml: twilioService.generateHangupTwiML(confirmation, {
+        voice: campaign.voiceSettings?.voice || 'alice',
+        language: campaign.voiceSettings?.language || 'en-US'
+      }),
+      continues: false
+    };
+  }
+
+  /**
+   * Convert a local callback time into a future Date
+   * @param {string} localDateTime - Local "YYYY-MM-DDTHH:mm" time
+   * @param {string} timezone - Customer timezone
+   * @returns {Date|null} Callback time or null when missing, past or too far out
+   */
+  resolveCallbackTime(localDateTime, timezone) {
+    const callbackAt = parseLocalDateTime(localDateTime, timezone);
+    if (!callbackAt) return null;
+
+    const now = Date.now();
+    const maxAheadMs = 90 * 24 * 60 * 60 * 1000;
+    if (callbackAt.getTime() <= now || callbackAt.getTime() > now + maxAheadMs) {
+      return null;
+    }
+
+    return callbackAt;
   }
 
   /**
@@ -150,6 +931,16 @@ class ConversationService {
    * @returns {Promise<string>} TwiML response
    */
   async generateOpeningMessage(conversation) {
+    const openingMessage = await this.buildOpeningMessage(conversation);
+    return this.continueTurn(conversation, openingMessage, 'Hello? Are you there?').twiml;
+  }
+
+  /**
+   * Build the opening line and record it in the conversation history
+   * @param {Object} conversation - Conversation context
+   * @returns {Promise<string>} Opening message
+   */
+  async buildOpeningMessage(conversation) {
     try {
       const { lead, campaign } = conversation;
       
@@ -158,7 +949,13 @@ class ConversationService {
         `Hello, this is an automated sales call. Am I speaking with ${lead.firstName}?`;
 
       // Replace placeholders
-      openingMessage = this.replacePlaceholders(openingMessage, lead);
+      openingMessage = this.replacePlaceholders(openingMessage, lead, { campaign, timezone: conversation.timezone });
+
+      // Statements required by the lead's jurisdiction come first
+      const disclosures = await jurisdictionService.getDisclosures(lead);
+      if (disclosures.length > 0) {
+        openingMessage = `${disclosures.join(' ')} ${openingMessage}`;
+      }
 
       // Add to conversation history
       conversation.conversationHistory.push({
@@ -167,25 +964,14 @@ class ConversationService {
         timestamp: new Date()
       });
 
+      await this.saveConversationState(conversation);
+
       logger.info('Opening message generated', {
         callSid: conversation.callSid,
         openingMessage
       });
 
-      // Generate TwiML
-      const continueUrl = `${process.env.BASE_URL}/api/webhooks/twilio/gather?callSid=${conversation.callSid}`;
-      
-      return twilioService.generateTwiML(openingMessage, {
-        voice: campaign.voiceSettings?.voice || 'alice',
-        language: campaign.voiceSettings?.language || 'en-US',
-        gatherInput: true,
-        continueUrl,
-        gatherOptions: {
-          action: continueUrl,
-          timeout: 5,
-          noInputMessage: "Hello? Are you there?"
-        }
-      });
+      return openingMessage;
 
     } catch (error) {
       logger.error('Failed to generate opening message', {
@@ -196,37 +982,55 @@ class ConversationService {
     }
   }
 
+  /**
+   * Build the context and model options for generating the agent's reply
+   * @param {Object} conversation - Conversation context
+   * @returns {Object} { context, options }
+   */
+  getGenerationRequest(conversation) {
+    const context = {
+      callSid: conversation.callSid,
+      lead: conversation.lead,
+      campaign: conversation.campaign,
+      callContext: conversation.callContext,
+      timezone: conversation.timezone,
+      stage: scriptFlowService.getPromptContext(conversation),
+      objections: conversation.matchedObjections || [],
+      knowledge: conversation.knowledgePassages || []
+    };
+
+    const options = {
+      temperature: conversation.campaign.aiSettings?.temperature || 0.7,
+      maxTokens: conversation.campaign.aiSettings?.maxTokens || 150,
+      systemPrompt: conversation.campaign.aiSettings?.systemPrompt &&
+        this.renderForLead(conversation, conversation.campaign.aiSettings.systemPrompt)
+    };
+
+    return { context, options };
+  }
+
   /**
    * Generate AI response based on conversation context
    * @param {Object} conversation - Conversation context
    * @param {string} customerInput - Latest customer input
-   * @returns {Promise<string>} AI response
+   * @returns {Promise<Object>} { text, toolCalls }
    */
   async generateAIResponse(conversation, customerInput) {
     try {
-      const context = {
-        lead: conversation.lead,
-        campaign: conversation.campaign,
-        callContext: conversation.callContext
-      };
-
-      const options = {
-        model: conversation.campaign.aiSettings?.model || 'gpt-4',
-        temperature: conversation.campaign.aiSettings?.temperature || 0.7,
-        maxTokens: conversation.campaign.aiSettings?.maxTokens || 150,
-        systemPrompt: conversation.campaign.aiSettings?.systemPrompt
-      };
+      await this.retrieveKnowledge(conversation, customerInput);
+      const { context, options } = this.getGenerationRequest(conversation);
 
       const response = await openaiService.generateResponse(
         conversation.conversationHistory,
         context,
-        options
+        { ...options, tools: this.getAvailableTools(conversation.campaign) }
       );
 
       logger.debug('AI response generated', {
         callSid: conversation.callSid,
         inputLength: customerInput.length,
-        responseLength: response.length
+        responseLength: response.text.length,
+        toolCalls: response.toolCalls.length
       });
 
       return response;
@@ -238,37 +1042,496 @@ class ConversationService {
       });
 
       // Return fallback response
-      return "I understand. Can you tell me more about that?";
+      return { text: "I understand. Can you tell me more about that?", toolCalls: [] };
+    }
+  }
+
+  /**
+   * Check an AI reply against the campaign's guardrails and fix it if it
+   * breaks them: cut overlong replies down, otherwise have the AI rephrase
+   * it, and fall back to the campaign's safe response
+   * @param {Object} conversation - Conversation context
+   * @param {string} response - AI reply
+   * @returns {Promise<string>} Reply to speak
+   */
+  async applyGuardrails(conversation, response) {
+    const { campaign } = conversation;
+    if (openaiService.isTransferSignal(response)) {
+      return response;
+    }
+
+    const checkOptions = { knowledge: conversation.knowledgePassages || [] };
+    const violations = guardrailService.checkResponse(response, campaign, checkOptions);
+    if (violations.length === 0) {
+      return response;
+    }
+
+    let safeResponse = null;
+    let action = 'replaced';
+
+    if (violations.every(violation => violation.rule === 'response-length')) {
+      const truncated = guardrailService.truncate(response, campaign);
+      if (truncated) {
+        safeResponse = truncated;
+        action = 'truncated';
+      }
+    } else if (campaign.guardrails?.rephrase !== false) {
+      const rephrased = await openaiService.rephraseResponse(
+        response,
+        guardrailService.describeViolations(violations, campaign),
+        { campaign, callSid: conversation.callSid }
+      );
+      if (rephrased && guardrailService.checkResponse(rephrased, campaign, checkOptions).length === 0) {
+        safeResponse = rephrased;
+        action = 'rephrased';
+      }
+    }
+
+    violations.forEach(violation => this.recordGuardrailViolation(conversation, violation, response, action));
+
+    return safeResponse || guardrailService.getSafeResponse(campaign);
+  }
+
+  /**
+   * Record a guardrail violation on the conversation so it is saved with the call
+   * @param {Object} conversation - Conversation context
+   * @param {Object} violation - { rule, detail }
+   * @param {string} response - Reply as generated
+   * @param {string} action - What was done about it
+   */
+  recordGuardrailViolation(conversation, violation, response, action) {
+    const entry = {
+      rule: violation.rule,
+      detail: violation.detail,
+      response,
+      action,
+      occurredAt: new Date()
+    };
+
+    conversation.guardrailViolations = conversation.guardrailViolations || [];
+    conversation.guardrailViolations.push(entry);
+    guardrailService.logViolation(conversation.callSid, entry);
+  }
+
+  /**
+   * Wrap up a call that ran past the campaign's turn or duration limit
+   * @param {Object} conversation - Conversation context
+   * @param {Object} violation - { rule, detail }
+   * @returns {Promise<Object>} Turn result
+   */
+  async handleGuardrailLimit(conversation, violation) {
+    const { callSid, campaign } = conversation;
+    const message = campaign.guardrails?.limitMessage ||
+      "I want to be respectful of your time, so I'll wrap up here. Someone from our team will follow up with you. Thank you, goodbye!";
+
+    this.recordGuardrailViolation(conversation, violation, null, 'ended-call');
+
+    conversation.conversationHistory.push({
+      speaker: 'agent',
+      message,
+      timestamp: new Date()
+    });
+
+    // The closing line is spoken while the call is analyzed
+    await this.endConversation(callSid, 'guardrail-limit', conversation, { background: true });
+
+    return {
+      message,
+      twiml: twilioService.generateHangupTwiML(message, {
+        voice: campaign.voiceSettings?.voice || 'alice',
+        language: campaign.voiceSettings?.language || 'en-US'
+      }),
+      continues: false
+    };
+  }
+
+  /**
+   * Look up the campaign knowledge base passages relevant to the latest
+   * customer speech; they are given to the AI for this turn only
+   * @param {Object} conversation - Conversation context
+   * @param {string} customerInput - Latest customer input
+   * @returns {Promise<Array>} Passages
+   */
+  async retrieveKnowledge(conversation, customerInput) {
+    try {
+      conversation.knowledgePassages = await knowledgeService.retrieve(conversation.campaignId, customerInput);
+    } catch (error) {
+      logger.error('Failed to retrieve knowledge passages', {
+        error: error.message,
+        callSid: conversation.callSid
+      });
+      conversation.knowledgePassages = [];
+    }
+
+    if (conversation.knowledgePassages.length > 0) {
+      logger.debug('Knowledge passages retrieved', {
+        callSid: conversation.callSid,
+        passages: conversation.knowledgePassages.map(p => `${p.documentName}#${p.chunkIndex}`)
+      });
+    }
+
+    return conversation.knowledgePassages;
+  }
+
+  /**
+   * Get the tools the AI may call on this campaign
+   * @param {Object} campaign - Campaign document
+   * @returns {Array} Tool names
+   */
+  getAvailableTools(campaign) {
+    return [...(campaign.aiSettings?.tools || [])].filter(name => {
+      if (name === 'transfer_to_human') return this.canTransfer(campaign);
+      if (name === 'lookup_faq') return campaign.script?.faq?.length > 0;
+      return true;
+    });
+  }
+
+  /**
+   * Run the tools the AI called. A tool that ends the call (callback,
+   * transfer, do-not-call, end call) returns its turn straight away;
+   * otherwise the AI is asked again to reply with the results in hand.
+   * @param {Object} conversation - Conversation context
+   * @param {string} text - Text the AI sent with the tool calls
+   * @param {Array} toolCalls - Tool calls { id, name, arguments }
+   * @returns {Promise<Object>} { turn, message } - turn is set when a tool ended the call
+   */
+  async executeToolCalls(conversation, text, toolCalls) {
+    const results = [];
+
+    for (const toolCall of toolCalls) {
+      const { result, turn } = await this.executeTool(conversation, toolCall);
+      if (turn) {
+        return { turn, message: null };
+      }
+      results.push(result);
+    }
+
+    let followUpText = '';
+    try {
+      const { context, options } = this.getGenerationRequest(conversation);
+      const followUp = await openaiService.generateResponse(conversation.conversationHistory, context, {
+        ...options,
+        toolMessages: openaiService.buildToolMessages(text, toolCalls, results)
+      });
+      followUpText = followUp.text;
+    } catch (error) {
+      logger.error('Failed to generate reply to tool results', {
+        error: error.message,
+        callSid: conversation.callSid
+      });
+    }
+
+    return {
+      turn: null,
+      message: followUpText || text || "I understand. Can you tell me more about that?"
+    };
+  }
+
+  /**
+   * Run one tool call against the lead, call and campaign
+   * @param {Object} conversation - Conversation context
+   * @param {Object} toolCall - Tool call { id, name, arguments }
+   * @returns {Promise<Object>} { result, turn } - turn is set when the tool ended the call
+   */
+  async executeTool(conversation, toolCall) {
+    const { campaign, timezone } = conversation;
+    const args = toolCall.arguments || {};
+    const lastCustomerMessage = [...conversation.conversationHistory]
+      .reverse()
+      .find(msg => msg.speaker === 'customer')?.message || '';
+
+    switch (toolCall.name) {
+      case 'book_meeting': {
+        const result = await this.bookMeeting(conversation, args);
+        this.recordToolCall(conversation, toolCall, result);
+        return { result };
+      }
+
+      case 'lookup_faq': {
+        const result = this.lookupFaq(campaign, args.question || lastCustomerMessage);
+        this.recordToolCall(conversation, toolCall, result);
+        return { result };
+      }
+
+      case 'schedule_callback': {
+        const callbackAt = this.resolveCallbackTime(args.localDateTime, timezone);
+        if (!callbackAt) {
+          const result = { scheduled: false, error: 'That time is in the past or more than 90 days away. Ask for another time.' };
+          this.recordToolCall(conversation, toolCall, result);
+          return { result };
+        }
+
+        this.recordToolCall(conversation, toolCall, { scheduled: true, at: callbackAt });
+        return { turn: await this.confirmCallback(conversation, callbackAt, lastCustomerMessage) };
+      }
+
+      case 'transfer_to_human': {
+        if (!this.canTransfer(campaign)) {
+          const result = { transferred: false, error: 'No human rep is available for this campaign.' };
+          this.recordToolCall(conversation, toolCall, result);
+          return { result };
+        }
+
+        const reason = args.reason === 'buying-intent' ? 'buying-intent' : 'customer-request';
+        this.recordToolCall(conversation, toolCall, { transferred: true });
+        return { turn: await this.handleTransfer(conversation, reason) };
+      }
+
+      case 'mark_do_not_call':
+        this.recordToolCall(conversation, toolCall, { doNotCall: true });
+        return { turn: await this.handleOptOut(conversation, lastCustomerMessage || args.reason) };
+
+      case 'end_call':
+        this.recordToolCall(conversation, toolCall, { ended: true });
+        return { turn: await this.handleEndCall(conversation, args) };
+
+      default: {
+        const result = { error: `Unknown tool ${toolCall.name}` };
+        this.recordToolCall(conversation, toolCall, result);
+        return { result };
+      }
+    }
+  }
+
+  /**
+   * Note the playbook objections raised on this call, once each, for the
+   * per-objection stats
+   * @param {Object} conversation - Conversation context
+   * @param {Array} matches - Objection matches for the latest customer speech
+   */
+  recordObjections(conversation, matches) {
+    conversation.objections = conversation.objections || [];
+
+    matches.forEach(match => {
+      if (conversation.objections.some(o => o.objectionId === match.objectionId)) {
+        return;
+      }
+
+      conversation.objections.push({
+        objectionId: match.objectionId,
+        objection: match.objection,
+        score: match.score,
+        raisedAt: new Date()
+      });
+
+      logger.info('Objection raised', {
+        callSid: conversation.callSid,
+        objectionId: match.objectionId,
+        objection: match.objection,
+        score: match.score
+      });
+    });
+  }
+
+  /**
+   * Record a tool call on the conversation so it is saved with the call
+   * @param {Object} conversation - Conversation context
+   * @param {Object} toolCall - Tool call { id, name, arguments }
+   * @param {Object} result - What the tool returned
+   */
+  recordToolCall(conversation, toolCall, result) {
+    conversation.toolCalls = conversation.toolCalls || [];
+    conversation.toolCalls.push({
+      name: toolCall.name,
+      arguments: toolCall.arguments,
+      result,
+      executedAt: new Date()
+    });
+
+    logger.info('AI tool call executed', {
+      callSid: conversation.callSid,
+      tool: toolCall.name,
+      arguments: toolCall.arguments,
+      result
+    });
+  }
+
+  /**
+   * Book a meeting for the lead at the local time the AI agreed with them
+   * @param {Object} conversation - Conversation context
+   * @param {Object} args - { localDateTime, durationMinutes, notes }
+   * @returns {Promise<Object>} Tool result
+   */
+  async bookMeeting(conversation, args) {
+    const { callSid, leadId, timezone } = conversation;
+    const meetingAt = this.resolveCallbackTime(args.localDateTime, timezone);
+    if (!meetingAt) {
+      return { booked: false, error: 'That time is in the past or more than 90 days away. Ask for another time.' };
+    }
+
+    const meeting = {
+      at: meetingAt,
+      durationMinutes: args.durationMinutes || 30,
+      notes: args.notes,
+      bookedAt: new Date(),
+      callSid
+    };
+
+    if (!conversation.simulated) {
+      await Lead.findByIdAndUpdate(leadId, { $set: { meeting } });
+    }
+    conversation.meeting = meeting;
+
+    logger.info('Meeting booked during call', { callSid, leadId, meetingAt });
+
+    return { booked: true, time: formatForSpeech(meetingAt, timezone) };
+  }
+
+  /**
+   * Find the campaign FAQ entries that best match a question
+   * @param {Object} campaign - Campaign document
+   * @param {string} question - Question to look up
+   * @returns {Object} Tool result
+   */
+  lookupFaq(campaign, question) {
+    const words = text => new Set((text || '').toLowerCase().match(/[a-z0-9']{3,}/g) || []);
+    const questionWords = words(question);
+
+    const matches = (campaign.script?.faq || [])
+      .map(entry => {
+        const entryWords = words(`${entry.question} ${entry.answer}`);
+        const score = [...questionWords].filter(word => entryWords.has(word)).length;
+        return { entry, score };
+      })
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 2);
+
+    if (matches.length === 0) {
+      return { found: false, note: 'No approved answer. Offer to have a specialist follow up instead of guessing.' };
     }
+
+    return {
+      found: true,
+      answers: matches.map(({ entry }) => ({ question: entry.question, answer: entry.answer }))
+    };
+  }
+
+  /**
+   * Say goodbye and end the call at the AI's request
+   * @param {Object} conversation - Conversation context
+   * @param {Object} args - { reason, farewell }
+   * @returns {Promise<Object>} Turn result
+   */
+  async handleEndCall(conversation, args) {
+    const { callSid, campaign } = conversation;
+    const endReasons = {
+      'not-interested': 'customer-requested',
+      'wrong-number': 'wrong-number',
+      completed: 'completed'
+    };
+    const farewell = args.farewell || this.renderForLead(conversation, campaign.script?.closing || 'Thank you for your time. Goodbye!');
+
+    conversation.conversationHistory.push({
+      speaker: 'agent',
+      message: farewell,
+      timestamp: new Date()
+    });
+
+    // The farewell is spoken while the call is analyzed
+    await this.endConversation(callSid, endReasons[args.reason] || 'completed', conversation, { background: true });
+
+    return {
+      message: farewell,
+      twiml: twilioService.generateHangupTwiML(farewell, {
+        voice: campaign.voiceSettings?.voice || 'alice',
+        language: campaign.voiceSettings?.language || 'en-US'
+      }),
+      continues: false
+    };
   }
 
   /**
    * End conversation and perform cleanup
    * @param {string} callSid - Twilio call SID
    * @param {string} reason - Reason for ending
+   * @param {Object} activeConversation - In-memory context with unsaved changes, if any
+   * @param {Object} options - { background } to return once the conversation is claimed and
+   *   finish the analysis and records after, so the caller's goodbye is not held up
+   * @returns {Promise<Object>} Call summary, { callId: null, pending: true } when finishing in the background
+   */
+  async endConversation(callSid, reason = 'completed', activeConversation = null, options = {}) {
+    // Claim the conversation up front so a status callback arriving
+    // mid-analysis (possibly on another instance) does not end it twice
+    const storedConversation = await this.store.remove(callSid);
+    this.pendingResponses.delete(callSid);
+    if (!storedConversation) {
+      logger.warn('Attempted to end non-existent conversation', { callSid });
+      return null;
+    }
+    const conversation = activeConversation || storedConversation;
+    const endTime = new Date();
+
+    // Simulation runners wait for their summary, so simulated calls always finish first
+    if (options.background && !conversation.simulated) {
+      this.finishConversation(callSid, conversation, reason, endTime).catch(() => null);
+      return { callId: null, pending: true };
+    }
+
+    return this.finishConversation(callSid, conversation, reason, endTime);
+  }
+
+  /**
+   * Analyze a claimed conversation and record its call, lead and campaign updates
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} conversation - Conversation context
+   * @param {string} reason - Reason for ending
+   * @param {Date} endTime - When the conversation ended
    * @returns {Promise<Object>} Call summary
    */
-  async endConversation(callSid, reason = 'completed') {
+  async finishConversation(callSid, conversation, reason, endTime) {
     try {
-      const conversation = this.activeConversations.get(callSid);
-      if (!conversation) {
-        logger.warn('Attempted to end non-existent conversation', { callSid });
-        return null;
-      }
-
-      const endTime = new Date();
       const duration = Math.round((endTime - conversation.startTime) / 1000);
 
       // Analyze conversation
-      const sentiment = await openaiService.analyzeSentiment(conversation.conversationHistory);
-      const extractedInfo = await openaiService.extractInformation(conversation.conversationHistory);
+      const llmScope = { campaign: conversation.campaign, callSid };
+      const sentiment = await openaiService.analyzeSentiment(conversation.conversationHistory, llmScope);
+      const extractedInfo = await openaiService.extractInformation(
+        conversation.conversationHistory,
+        {},
+        { ...llmScope, timezone: conversation.timezone }
+      );
+
+      // Fall back to a callback time mentioned anywhere in the call
+      if (!conversation.requestedCallback && extractedInfo.callbackTime) {
+        const callbackAt = this.resolveCallbackTime(extractedInfo.callbackTime, conversation.timezone);
+        if (callbackAt) {
+          conversation.requestedCallback = { at: callbackAt, requestedAt: new Date() };
+        }
+      }
       
       // Determine call outcome
-      const outcome = this.determineCallOutcome(conversation.conversationHistory, extractedInfo, reason);
+      const outcome = this.determineCallOutcome(
+        conversation.conversationHistory,
+        extractedInfo,
+        reason,
+        conversation.requestedCallback,
+        conversation.meeting
+      );
 
-      // Create call record
+      // Simulated calls are reported to the simulation runner, not recorded
+      if (conversation.simulated) {
+        const summary = {
+          callId: null,
+          outcome,
+          reason,
+          duration,
+          sentiment,
+          extractedInfo,
+          stage: conversation.currentStep,
+          objections: conversation.objections || [],
+          guardrailViolations: conversation.guardrailViolations || [],
+          flaggedTurns: conversation.flaggedTurns || [],
+          toolCalls: conversation.toolCalls || []
+        };
+        this.simulationResults.set(callSid, summary);
+
+        logger.info('Simulated conversation ended', { callSid, reason, outcome });
+        return summary;
+      }
+
+      // Update call record
       const callData = {
-        callSid,
         campaignId: conversation.campaignId,
         leadId: conversation.leadId,
         phoneNumber: conversation.lead.phoneNumber,
@@ -279,22 +1542,47 @@ class ConversationService {
         conversation: conversation.conversationHistory,
         sentiment,
         outcome,
-        notes: await openaiService.generateCallSummary(conversation.conversationHistory, { outcome, duration })
+        toolCalls: conversation.toolCalls || [],
+        stage: conversation.currentStep,
+        qualification: scriptFlowService.getQualificationSummary(conversation),
+        objections: conversation.objections || [],
+        guardrailViolations: conversation.guardrailViolations || [],
+        flaggedTurns: conversation.flaggedTurns || [],
+        notes: await openaiService.generateCallSummary(
+          conversation.conversationHistory,
+          { outcome, duration },
+          llmScope
+        )
       };
 
-      // Save call to database
-      const call = new Call(callData);
-      await call.save();
+      // A transferred call is still live with the rep; its status callback completes the record
+      if (reason === 'transferred') {
+        delete callData.status;
+        delete callData.endedAt;
+        delete callData.duration;
+      }
+
+      // Save call to database, keeping attempt details from when it was placed
+      const attemptInfo = await retryPolicyService.getAttemptInfo(conversation.leadId, conversation.campaignId);
+      const call = await Call.findOneAndUpdate(
+        { callSid },
+        { $set: callData, $setOnInsert: attemptInfo },
+        { upsert: true, new: true }
+      );
 
       // Update lead information
-      await this.updateLeadFromConversation(conversation.lead, extractedInfo, outcome, sentiment);
+      await this.updateLeadFromConversation(
+        conversation.lead,
+        extractedInfo,
+        outcome,
+        sentiment,
+        conversation.campaign,
+        conversation.requestedCallback
+      );
 
       // Update campaign statistics
       await conversation.campaign.updateStats();
 
-      // Clean up active conversation
-      this.activeConversations.delete(callSid);
-
       logger.info('Conversation ended successfully', {
         callSid,
         reason,
@@ -321,19 +1609,85 @@ class ConversationService {
     }
   }
 
+  /**
+   * Take the summary of a simulated call once it has ended
+   * @param {string} callSid - Simulated call SID
+   * @returns {Object|null} Call summary, or null while the call is still going
+   */
+  takeSimulationResult(callSid) {
+    const summary = this.simulationResults.get(callSid) || null;
+    this.simulationResults.delete(callSid);
+    return summary;
+  }
+
+  /**
+   * Check if customer is asking to be called back
+   * @param {string} customerSpeech - Customer's speech
+   * @returns {boolean} Is a callback request
+   */
+  isCallbackRequest(customerSpeech) {
+    const callbackPatterns = [
+      /\b(call|ring|reach|try) (me |us )?(back|later|again|tomorrow|next|on|at|after|this|in)\b/i,
+      /\bcall ?back\b/i,
+      /\b(another|better|different) time\b/i,
+      /\bnot a good time\b/i
+    ];
+
+    return callbackPatterns.some(pattern => pattern.test(customerSpeech));
+  }
+
+  /**
+   * Check if a campaign can hand calls to a human rep
+   * @param {Object} campaign - Campaign document
+   * @returns {boolean} Has a usable transfer target
+   */
+  canTransfer(campaign) {
+    return !!(campaign.transfer?.enabled && campaign.transfer.target);
+  }
+
+  /**
+   * Check if customer is asking to speak with a person
+   * @param {string} customerSpeech - Customer's speech
+   * @returns {boolean} Is a transfer request
+   */
+  isTransferRequest(customerSpeech) {
+    const transferPatterns = [
+      /\b(speak|talk) (to|with) (a |an |the |your |some )?(real |actual |live )?(person|human|representative|rep|agent|salesperson|manager|someone)\b/i,
+      /\b(real|live|actual) (person|human)\b/i,
+      /\btransfer me\b/i
+    ];
+
+    return transferPatterns.some(pattern => pattern.test(customerSpeech));
+  }
+
+  /**
+   * Check if customer is asking not to be called again
+   * @param {string} customerSpeech - Customer's speech
+   * @returns {boolean} Is an opt-out request
+   */
+  isOptOutRequest(customerSpeech) {
+    const optOutPatterns = [
+      /\bremove (me|my (phone )?number|us)\b/i,
+      /\btake (me|my (phone )?number|us) off\b/i,
+      /\b(do not|don't|dont|never) (ever )?call\b/i,
+      /\bstop (calling|contacting)\b/i,
+      /\bunsubscribe\b/i,
+      /\bopt (me )?out\b/i,
+      /\bdo[- ]not[- ]call list\b/i
+    ];
+
+    return optOutPatterns.some(pattern => pattern.test(customerSpeech));
+  }
+
   /**
    * Check if call should be terminated based on customer input
    * @param {string} customerSpeech - Customer's speech
    * @returns {boolean} Should end call
    */
   shouldEndCall(customerSpeech) {
+    // Opt-out phrases are handled separately by isOptOutRequest
     const terminationPhrases = [
-      'remove me',
-      'take me off',
-      'do not call',
       'not interested',
-      'stop calling',
-      'unsubscribe',
       'wrong number',
       'goodbye',
       'hang up',
@@ -350,21 +1704,7 @@ class ConversationService {
    * @param {string} response - AI response
    */
   updateConversationStep(conversation, response) {
-    const stepKeywords = {
-      'qualification': ['qualify', 'budget', 'timeline', 'decision'],
-      'presentation': ['solution', 'product', 'service', 'benefit'],
-      'objection': ['concern', 'but', 'however', 'objection'],
-      'closing': ['next step', 'schedule', 'sign up', 'purchase']
-    };
-
-    const lowerResponse = response.toLowerCase();
-    
-    for (const [step, keywords] of Object.entries(stepKeywords)) {
-      if (keywords.some(keyword => lowerResponse.includes(keyword))) {
-        conversation.currentStep = step;
-        break;
-      }
-    }
+    scriptFlowService.recordAgentTurn(conversation, response);
   }
 
   /**
@@ -372,23 +1712,42 @@ class ConversationService {
    * @param {Array} conversationHistory - Conversation messages
    * @param {Object} extractedInfo - Extracted information
    * @param {string} reason - End reason
+   * @param {Object} requestedCallback - Callback time the customer asked for
+   * @param {Object} meeting - Meeting booked during the call
    * @returns {string} Call outcome
    */
-  determineCallOutcome(conversationHistory, extractedInfo, reason) {
-    if (reason === 'customer-requested') {
+  determineCallOutcome(conversationHistory, extractedInfo, reason, requestedCallback = null, meeting = null) {
+    if (reason === 'opt-out') {
+      return 'opt-out';
+    }
+
+    if (reason === 'wrong-number') {
+      return 'wrong-number';
+    }
+
+    if (meeting) {
+      return 'interested';
+    }
+
+    if (reason === 'customer-requested' || reason === 'flagged-speech') {
       return 'not-interested';
     }
 
-    // Check for positive indicators
-    if (extractedInfo.nextSteps || extractedInfo.interests) {
+    if (reason === 'transferred') {
       return 'interested';
     }
 
     // Check for callback requests
-    if (extractedInfo.nextSteps && extractedInfo.nextSteps.includes('callback')) {
+    if (requestedCallback || reason === 'callback-requested' ||
+        (extractedInfo.nextSteps && extractedInfo.nextSteps.includes('callback'))) {
       return 'callback';
     }
 
+    // Check for positive indicators
+    if (extractedInfo.nextSteps || extractedInfo.interests) {
+      return 'interested';
+    }
+
     // Check conversation length and engagement
     const customerMessages = conversationHistory.filter(msg => msg.speaker === 'customer');
     
@@ -409,8 +1768,10 @@ class ConversationService {
    * @param {Object} extractedInfo - Extracted information
    * @param {string} outcome - Call outcome
    * @param {Object} sentiment - Sentiment analysis
+   * @param {Object} campaign - Campaign the call belongs to
+   * @param {Object} requestedCallback - Callback time the customer asked for
    */
-  async updateLeadFromConversation(lead, extractedInfo, outcome, sentiment) {
+  async updateLeadFromConversation(lead, extractedInfo, outcome, sentiment, campaign, requestedCallback = null) {
     try {
       // Update lead score and status
       await lead.updateScore(outcome, sentiment);
@@ -439,15 +1800,17 @@ class ConversationService {
         lead.preferences.objections.push(...extractedInfo.objections.split(',').map(o => o.trim()));
       }
 
-      // Schedule next call if needed
-      if (outcome === 'callback') {
-        await lead.scheduleNextCall(24); // 24 hours
-      } else if (outcome === 'interested') {
-        await lead.scheduleNextCall(72); // 3 days
+      if (requestedCallback) {
+        lead.requestedCallback = requestedCallback;
       }
 
       await lead.save();
 
+      // Schedule the next attempt or retire the lead
+      await retryPolicyService.applyOutcome(lead, campaign, outcome, {
+        requestedTime: requestedCallback?.at
+      });
+
       logger.debug('Lead updated from conversation', {
         leadId: lead._id,
         outcome,
@@ -464,16 +1827,25 @@ class ConversationService {
   }
 
   /**
-   * Save conversation state to database
+   * Save conversation state to the conversation store and call record
    * @param {Object} conversation - Conversation context
    */
   async saveConversationState(conversation) {
     try {
+      // Persist context so the next turn can be served after a restart
+      await this.store.set(conversation.callSid, conversation);
+      if (conversation.simulated) {
+        return;
+      }
+
       // Update or create call record with current conversation state
       await Call.findOneAndUpdate(
         { callSid: conversation.callSid },
         {
           conversation: conversation.conversationHistory,
+          toolCalls: conversation.toolCalls || [],
+          guardrailViolations: conversation.guardrailViolations || [],
+          flaggedTurns: conversation.flaggedTurns || [],
           status: 'in-progress'
         },
         { upsert: true }
@@ -491,23 +1863,33 @@ class ConversationService {
    * Replace placeholders in text with lead information
    * @param {string} text - Text with placeholders
    * @param {Object} lead - Lead object
+   * @param {Object} options - { campaign, timezone } for campaign fields and date helpers
    * @returns {string} Text with replaced placeholders
    */
-  replacePlaceholders(text, lead) {
-    return text
-      .replace(/\{firstName\}/g, lead.firstName)
-      .replace(/\{lastName\}/g, lead.lastName || '')
-      .replace(/\{fullName\}/g, lead.fullName)
-      .replace(/\{company\}/g, lead.company || '')
-      .replace(/\{jobTitle\}/g, lead.jobTitle || '');
+  replacePlaceholders(text, lead, options = {}) {
+    return templateService.render(text, lead, options);
+  }
+
+  /**
+   * Render a campaign text for the lead on a call
+   * @param {Object} conversation - Conversation context
+   * @param {string} text - Text with placeholders
+   * @returns {string} Rendered text
+   */
+  renderForLead(conversation, text) {
+    return this.replacePlaceholders(text, conversation.lead, {
+      campaign: conversation.campaign,
+      timezone: conversation.timezone
+    });
   }
 
   /**
    * Get time of day context
+   * @param {string} timezone - Timezone of the person being called
    * @returns {string} Time of day
    */
-  getTimeOfDay() {
-    const hour = new Date().getHours();
+  getTimeOfDay(timezone) {
+    const { hour } = getZonedTime(new Date(), timezone);
     if (hour < 12) return 'morning';
     if (hour < 17) return 'afternoon';
     return 'evening';
@@ -515,19 +1897,19 @@ class ConversationService {
 
   /**
    * Get active conversation count
-   * @returns {number} Number of active conversations
+   * @returns {Promise<number>} Number of active conversations
    */
-  getActiveConversationCount() {
-    return this.activeConversations.size;
+  async getActiveConversationCount() {
+    return this.store.count();
   }
 
   /**
    * Get conversation by call SID
    * @param {string} callSid - Twilio call SID
-   * @returns {Object|null} Conversation context
+   * @returns {Promise<Object|null>} Conversation context
    */
-  getConversation(callSid) {
-    return this.activeConversations.get(callSid) || null;
+  async getConversation(callSid) {
+    return this.store.get(callSid);
   }
 }
 
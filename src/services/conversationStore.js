@@ -0,0 +1,179 @@
+const logger = require('../utils/logger');
+const ConversationState = require('../models/ConversationState');
+const Lead = require('../models/Lead');
+const Campaign = require('../models/Campaign');
+
+// Context keys stored in their own columns; everything else goes in `state`
+const CORE_KEYS = ['callSid', 'leadId', 'campaignId', 'lead', 'campaign', 'conversationHistory', 'currentStep', 'startTime'];
+
+const DEFAULT_TTL_MINUTES = 240;
+
+/**
+ * In-process store. Conversations are lost on restart and are not shared
+ * between instances; useful for development and single-instance setups.
+ *
+ * Every store implements:
+ *   get(callSid)           -> Promise<Object|null>
+ *   set(callSid, context)  -> Promise<void>
+ *   remove(callSid)        -> Promise<Object|null>  (atomic claim of the context)
+ *   count()                -> Promise<number>
+ */
+class MemoryConversationStore {
+  constructor() {
+    this.conversations = new Map();
+  }
+
+  async get(callSid) {
+    return this.conversations.get(callSid) || null;
+  }
+
+  async set(callSid, context) {
+    this.conversations.set(callSid, context);
+  }
+
+  async remove(callSid) {
+    const context = this.conversations.get(callSid) || null;
+    this.conversations.delete(callSid);
+    return context;
+  }
+
+  async count() {
+    return this.conversations.size;
+  }
+}
+
+/**
+ * MongoDB-backed store. Conversations survive restarts and can be served by
+ * any instance; lead and campaign documents are reloaded on every read.
+ */
+class MongoConversationStore {
+  constructor(options = {}) {
+    this.ttlMinutes = options.ttlMinutes || DEFAULT_TTL_MINUTES;
+  }
+
+  async get(callSid) {
+    const doc = await ConversationState.findOne({ callSid }).lean();
+    return doc ? this.deserialize(doc) : null;
+  }
+
+  async set(callSid, context) {
+    await ConversationState.findOneAndUpdate(
+      { callSid },
+      this.serialize(context),
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  async remove(callSid) {
+    const doc = await ConversationState.findOneAndDelete({ callSid }).lean();
+    return doc ? this.deserialize(doc) : null;
+  }
+
+  async count() {
+    return ConversationState.countDocuments({ expiresAt: { $gt: new Date() } });
+  }
+
+  /**
+   * Convert a conversation context into a storable document
+   * @param {Object} context - Conversation context
+   * @returns {Object} Document fields
+   */
+  serialize(context) {
+    const state = {};
+    Object.keys(context).forEach(key => {
+      if (!CORE_KEYS.includes(key)) {
+        state[key] = context[key];
+      }
+    });
+
+    return {
+      callSid: context.callSid,
+      leadId: context.leadId,
+      campaignId: context.campaignId,
+      leadSnapshot: this.snapshot(context.lead),
+      campaignSnapshot: this.snapshot(context.campaign),
+      conversationHistory: context.conversationHistory,
+      currentStep: context.currentStep,
+      startTime: context.startTime,
+      state,
+      expiresAt: new Date(Date.now() + this.ttlMinutes * 60 * 1000)
+    };
+  }
+
+  /**
+   * Rebuild a conversation context from a stored document
+   * @param {Object} doc - Stored document
+   * @returns {Promise<Object>} Conversation context
+   */
+  async deserialize(doc) {
+    const lead = await this.loadDocument(Lead, doc.leadId, doc.leadSnapshot);
+    const campaign = await this.loadDocument(Campaign, doc.campaignId, doc.campaignSnapshot);
+
+    return {
+      ...(doc.state || {}),
+      callSid: doc.callSid,
+      leadId: doc.leadId,
+      campaignId: doc.campaignId,
+      lead,
+      campaign,
+      conversationHistory: doc.conversationHistory || [],
+      currentStep: doc.currentStep,
+      startTime: doc.startTime
+    };
+  }
+
+  /**
+   * Load a live document, falling back to the stored snapshot
+   * @param {Object} Model - Mongoose model
+   * @param {string} id - Document ID
+   * @param {Object} snapshot - Snapshot taken when the call started
+   * @returns {Promise<Object|null>} Mongoose document
+   */
+  async loadDocument(Model, id, snapshot) {
+    try {
+      const doc = await Model.findById(id);
+      if (doc) return doc;
+    } catch (error) {
+      logger.warn('Failed to load document for conversation, using snapshot', {
+        error: error.message,
+        model: Model.modelName,
+        id
+      });
+    }
+    return snapshot ? Model.hydrate(snapshot) : null;
+  }
+
+  /**
+   * Take a plain-object snapshot of a document
+   * @param {Object} doc - Mongoose document
+   * @returns {Object|null} Snapshot
+   */
+  snapshot(doc) {
+    if (!doc) return null;
+    return typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false }) : doc;
+  }
+}
+
+/**
+ * Create the conversation store selected by CONVERSATION_STORE
+ * @param {string} type - 'mongo' (default) or 'memory'
+ * @returns {Object} Conversation store
+ */
+function createConversationStore(type = process.env.CONVERSATION_STORE || 'mongo') {
+  switch (type) {
+    case 'memory':
+      return new MemoryConversationStore();
+    case 'mongo':
+      return new MongoConversationStore({
+        ttlMinutes: parseInt(process.env.CONVERSATION_TTL_MINUTES) || DEFAULT_TTL_MINUTES
+      });
+    default:
+      throw new Error(`Unknown conversation store: ${type}`);
+  }
+}
+
+module.exports = {
+  MemoryConversationStore,
+  MongoConversationStore,
+  createConversationStore
+};
@@ -0,0 +1,258 @@
+const Call = require('../models/Call');
+const Campaign = require('../models/Campaign');
+const twilioService = require('./twilioService');
+const prices = require('../config/pricing');
+const logger = require('../utils/logger');
+
+// Twilio publishes a call's price some minutes after it ends; these are the
+// delays of each attempt to fetch it, after which the estimate is kept
+const PRICE_FETCH_DELAYS_MS = [2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000];
+
+class CostService {
+  /**
+   * Price an LLM request
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @param {Object} usage - { inputTokens, outputTokens }
+   * @returns {number} Cost in USD
+   */
+  getLlmCost(provider, model, usage) {
+    if (prices.freeProviders.includes(provider)) {
+      return 0;
+    }
+
+    // Dated model versions (gpt-4o-2024-08-06) are priced like their base model
+    const price = prices.llm[model] ||
+      Object.entries(prices.llm)
+        .filter(([name]) => model?.startsWith(`${name}-`))
+        .sort((a, b) => b[0].length - a[0].length)[0]?.[1];
+
+    if (!price) {
+      logger.warn('No price for LLM model', { provider, model });
+      return 0;
+    }
+
+    return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+  }
+
+  /**
+   * Record the tokens an LLM request used on a call
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} entry - { task, provider, model, usage }
+   * @returns {Promise<void>}
+   */
+  async recordLlmUsage(callSid, { task, provider, model, usage }) {
+    const cost = this.getLlmCost(provider, model, usage);
+
+    await this.addCost(callSid, 'llm', cost, {
+      $inc: {
+        'usage.inputTokens': usage.inputTokens || 0,
+        'usage.outputTokens': usage.outputTokens || 0
+      },
+      $push: {
+        llmUsage: {
+          task,
+          provider,
+          model,
+          inputTokens: usage.inputTokens || 0,
+          outputTokens: usage.outputTokens || 0,
+          cost,
+          at: new Date()
+        }
+      }
+    });
+  }
+
+  /**
+   * Record text-to-speech on a call
+   * @param {string} callSid - Twilio call SID
+   * @param {string} model - TTS model
+   * @param {number} characters - Characters synthesized
+   * @returns {Promise<void>}
+   */
+  async recordSpeechSynthesis(callSid, model, characters) {
+    const cost = (characters * (prices.tts[model] || 0)) / 1e6;
+    await this.addCost(callSid, 'tts', cost, { $inc: { 'usage.ttsCharacters': characters } });
+  }
+
+  /**
+   * Record speech-to-text on a call
+   * @param {string} callSid - Twilio call SID
+   * @param {string} model - Transcription model
+   * @param {number} seconds - Audio length
+   * @returns {Promise<void>}
+   */
+  async recordTranscription(callSid, model, seconds) {
+    const cost = (seconds / 60) * (prices.stt[model] || 0);
+    await this.addCost(callSid, 'stt', cost, { $inc: { 'usage.sttSeconds': seconds } });
+  }
+
+  /**
+   * Add to one cost category of a call and to its total
+   * @param {string} callSid - Twilio call SID
+   * @param {string} category - llm, tts or stt
+   * @param {number} cost - Cost in USD
+   * @param {Object} update - More update operators to apply
+   * @returns {Promise<void>}
+   */
+  async addCost(callSid, category, cost, update = {}) {
+    if (!callSid) {
+      return;
+    }
+
+    try {
+      await Call.updateOne({ callSid }, {
+        ...update,
+        $inc: {
+          ...update.$inc,
+          [`costBreakdown.${category}`]: cost,
+          cost
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to record call cost', {
+        error: error.message,
+        callSid,
+        category
+      });
+    }
+  }
+
+  /**
+   * Estimate what the carrier charges for a call
+   * @param {number} durationSeconds - Call duration
+   * @returns {number} Cost in USD, billed per started minute
+   */
+  estimateTelephonyCost(durationSeconds) {
+    return Math.ceil((durationSeconds || 0) / 60) * prices.telephony.perMinute;
+  }
+
+  /**
+   * Set the telephony cost of a call and recompute its total
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} telephony - { cost, price, priceUnit, source } - source is twilio or estimate
+   * @returns {Promise<void>}
+   */
+  async setTelephonyCost(callSid, telephony) {
+    try {
+      await Call.updateOne({ callSid }, [
+        {
+          $set: {
+            'costBreakdown.telephony': telephony.cost,
+            telephonyPrice: {
+              price: telephony.price ?? null,
+              priceUnit: telephony.priceUnit || 'USD',
+              source: telephony.source
+            }
+          }
+        },
+        {
+          $set: {
+            cost: {
+              $add: ['llm', 'tts', 'stt', 'telephony'].map(category => ({ $ifNull: [`$costBreakdown.${category}`, 0] }))
+            }
+          }
+        }
+      ]);
+    } catch (error) {
+      logger.error('Failed to record telephony cost', {
+        error: error.message,
+        callSid
+      });
+    }
+  }
+
+  /**
+   * Record the telephony cost of a finished call as an estimate from its
+   * duration, and schedule fetches of Twilio's price to replace it. The
+   * fetches run in this process after the webhook has responded; if it
+   * restarts first, or Twilio never publishes a price, the estimate stays.
+   * @param {string} callSid - Twilio call SID
+   * @param {number} durationSeconds - Call duration
+   * @returns {Promise<void>}
+   */
+  async recordTelephony(callSid, durationSeconds) {
+    await this.setTelephonyCost(callSid, {
+      cost: this.estimateTelephonyCost(durationSeconds),
+      source: 'estimate'
+    });
+
+    this.schedulePriceFetch(callSid, 0);
+  }
+
+  /**
+   * Schedule an attempt to replace a call's estimated telephony cost with Twilio's price
+   * @param {string} callSid - Twilio call SID
+   * @param {number} attempt - Index into PRICE_FETCH_DELAYS_MS
+   */
+  schedulePriceFetch(callSid, attempt) {
+    if (attempt >= PRICE_FETCH_DELAYS_MS.length) {
+      logger.debug('Twilio price not published, keeping estimate', { callSid });
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      const priced = await this.fetchTelephonyPrice(callSid);
+      if (priced) {
+        await this.refreshCampaignStats(callSid);
+      } else {
+        this.schedulePriceFetch(callSid, attempt + 1);
+      }
+    }, PRICE_FETCH_DELAYS_MS[attempt]);
+
+    // Pending fetches must not keep the process alive
+    timer.unref();
+  }
+
+  /**
+   * Set a call's telephony cost to the price Twilio reports for it
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<boolean>} Whether Twilio had published the price
+   */
+  async fetchTelephonyPrice(callSid) {
+    try {
+      const { price, priceUnit } = await twilioService.getCallDetails(callSid);
+      if (price === null || price === undefined) {
+        return false;
+      }
+
+      // Twilio reports charges as negative amounts
+      await this.setTelephonyCost(callSid, {
+        cost: Math.abs(parseFloat(price)),
+        price: parseFloat(price),
+        priceUnit,
+        source: 'twilio'
+      });
+      return true;
+
+    } catch (error) {
+      logger.debug('Twilio price not available', {
+        error: error.message,
+        callSid
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Roll a call's costs up into its campaign's stats
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<void>}
+   */
+  async refreshCampaignStats(callSid) {
+    try {
+      const call = await Call.findOne({ callSid }).select('campaignId');
+      const campaign = call?.campaignId && await Campaign.findById(call.campaignId);
+      if (campaign) {
+        await campaign.updateStats();
+      }
+    } catch (error) {
+      logger.error('Failed to refresh campaign stats', {
+        error: error.message,
+        callSid
+      });
+    }
+  }
+}
+
+module.exports = new CostService();
@@ -0,0 +1,517 @@
+const twilioService = require('./twilioService');
+const retryPolicyService = require('./retryPolicyService');
+const suppressionService = require('./suppressionService');
+const consentService = require('./consentService');
+const jurisdictionService = require('./jurisdictionService');
+const budgetService = require('./budgetService');
+const logger = require('../utils/logger');
+const Call = require('../models/Call');
+const Lead = require('../models/Lead');
+const Campaign = require('../models/Campaign');
+
+const ACTIVE_CALL_STATUSES = ['queued', 'ringing', 'in-progress'];
+
+class DialerService {
+  constructor() {
+    this.io = null;
+    this.intervalMs = parseInt(process.env.DIALER_INTERVAL_MS) || 10000;
+    this.staleCallMinutes = parseInt(process.env.DIALER_STALE_CALL_MINUTES) || 60;
+    this.runningCampaigns = new Map(); // campaignId -> { timer, ticking }
+    this.resumeTimers = new Map(); // campaignId -> timer for a pause that lifts by itself
+  }
+
+  /**
+   * Attach Socket.io and resume dialing for campaigns left running
+   * @param {Object} io - Socket.io server
+   * @returns {Promise<void>}
+   */
+  async initialize(io) {
+    this.io = io;
+
+    try {
+      const campaigns = await Campaign.find({ status: 'running' }).select('_id name');
+
+      campaigns.forEach(campaign => this.start(campaign._id));
+
+      // Pauses due to lift while the server was down resume straight away
+      const paused = await Campaign.find({ status: 'paused', pausedUntil: { $ne: null } }).select('_id pausedUntil');
+      paused.forEach(campaign => this.scheduleResume(campaign._id, campaign.pausedUntil));
+
+      logger.info('Dialer initialized', {
+        resumedCampaigns: campaigns.length,
+        scheduledResumes: paused.length,
+        intervalMs: this.intervalMs
+      });
+    } catch (error) {
+      logger.error('Failed to initialize dialer', { error: error.message });
+    }
+  }
+
+  /**
+   * Start dialing for a campaign
+   * @param {string} campaignId - Campaign ID
+   */
+  start(campaignId) {
+    const id = campaignId.toString();
+
+    if (this.runningCampaigns.has(id)) {
+      return;
+    }
+
+    const state = { timer: null, ticking: false };
+    state.timer = setInterval(() => this.tick(id), this.intervalMs);
+    this.runningCampaigns.set(id, state);
+
+    logger.info('Dialer started for campaign', { campaignId: id });
+
+    // Dial immediately instead of waiting for the first interval
+    this.tick(id);
+  }
+
+  /**
+   * Stop dialing for a campaign. Calls already in progress are left to finish.
+   * @param {string} campaignId - Campaign ID
+   */
+  stop(campaignId) {
+    const id = campaignId.toString();
+    const state = this.runningCampaigns.get(id);
+
+    if (!state) {
+      return;
+    }
+
+    clearInterval(state.timer);
+    this.runningCampaigns.delete(id);
+
+    logger.info('Dialer stopped for campaign', { campaignId: id });
+  }
+
+  /**
+   * Stop dialing for every campaign
+   */
+  stopAll() {
+    Array.from(this.runningCampaigns.keys()).forEach(id => this.stop(id));
+    Array.from(this.resumeTimers.keys()).forEach(id => this.cancelResume(id));
+  }
+
+  /**
+   * Resume a paused campaign at a given time
+   * @param {string} campaignId - Campaign ID
+   * @param {Date} resumeAt - When to resume
+   */
+  scheduleResume(campaignId, resumeAt) {
+    const id = campaignId.toString();
+    this.cancelResume(id);
+
+    const timer = setTimeout(() => {
+      this.resumeTimers.delete(id);
+      this.resume(id);
+    }, Math.max(new Date(resumeAt).getTime() - Date.now(), 0));
+    this.resumeTimers.set(id, timer);
+  }
+
+  /**
+   * Cancel a scheduled resume
+   * @param {string} campaignId - Campaign ID
+   */
+  cancelResume(campaignId) {
+    const id = campaignId.toString();
+    const timer = this.resumeTimers.get(id);
+
+    if (timer) {
+      clearTimeout(timer);
+      this.resumeTimers.delete(id);
+    }
+  }
+
+  /**
+   * Resume a campaign whose pause has lifted. The update only matches while
+   * the campaign is still paused, so a campaign stopped or started by hand in
+   * the meantime, or resumed by another instance, is left alone.
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<void>}
+   */
+  async resume(campaignId) {
+    try {
+      const campaign = await Campaign.findOneAndUpdate(
+        { _id: campaignId, status: 'paused', pausedUntil: { $lte: new Date() } },
+        { $set: { status: 'running' }, $unset: { pausedReason: 1, pausedUntil: 1 } },
+        { new: true }
+      );
+
+      if (!campaign) {
+        return;
+      }
+
+      this.start(campaign._id);
+
+      logger.info('Campaign resumed by dialer', {
+        campaignId,
+        name: campaign.name
+      });
+
+      if (this.io) {
+        this.io.emit('campaignStarted', {
+          campaignId: campaign._id,
+          name: campaign.name,
+          timestamp: new Date()
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to resume campaign', {
+        error: error.message,
+        campaignId
+      });
+    }
+  }
+
+  /**
+   * Check if the dialer is active for a campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {boolean} Is dialing
+   */
+  isRunning(campaignId) {
+    return this.runningCampaigns.has(campaignId.toString());
+  }
+
+  /**
+   * Run one dialing pass for a campaign
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<void>}
+   */
+  async tick(campaignId) {
+    const state = this.runningCampaigns.get(campaignId);
+    if (!state || state.ticking) {
+      return;
+    }
+
+    state.ticking = true;
+
+    try {
+      const campaign = await Campaign.findById(campaignId);
+
+      if (!campaign || campaign.status !== 'running') {
+        this.stop(campaignId);
+        return;
+      }
+
+      if (campaign.scheduledEnd && new Date() > campaign.scheduledEnd) {
+        await this.completeCampaign(campaign, 'Scheduled end reached');
+        return;
+      }
+
+      if (!campaign.isWithinSchedule()) {
+        logger.debug('Campaign outside its schedule', { campaignId });
+        return;
+      }
+
+      const budget = await budgetService.checkCampaign(campaign);
+      if (!budget.allowed) {
+        budgetService.logCapReached(campaign, budget);
+        await this.pauseCampaign(campaign, budget.reason, budget.resetsAt);
+        return;
+      }
+
+      const activeCalls = await this.countActiveCalls(campaign._id);
+      const availableSlots = (campaign.concurrentCalls || 1) - activeCalls;
+
+      if (availableSlots <= 0) {
+        return;
+      }
+
+      // Fetch extra candidates since some may be outside their calling window.
+      // Calling windows are checked in each lead's own timezone, and
+      // jurisdiction calling hours apply on top of the campaign's.
+      const candidates = await Lead.findCallableLeads(campaign._id, Math.max(availableSlots * 5, 50));
+      const rules = await jurisdictionService.getRules();
+      const leads = candidates
+        .filter(lead => campaign.shouldBeRunning(lead.timezone) &&
+          lead.shouldBeCalledNow(campaign.workingHours, campaign.workingDays) &&
+          jurisdictionService.checkCallingHours(lead, rules, campaign.workingHours?.timezone).allowed)
+        .sort((a, b) => this.isDueCallback(b) - this.isDueCallback(a))
+        .slice(0, availableSlots);
+
+      if (leads.length === 0) {
+        if (activeCalls === 0 && !(await this.hasRemainingLeads(campaign._id))) {
+          await this.completeCampaign(campaign, 'No callable leads remaining');
+        }
+        return;
+      }
+
+      for (const lead of leads) {
+        try {
+          // Suppressed leads are marked do-not-call with the reason and skipped
+          if (await suppressionService.checkLead(lead)) {
+            continue;
+          }
+
+          // Leads without valid call consent are blocked with the reason and skipped
+          const consent = await consentService.enforceForLead(lead, campaign);
+          if (!consent.allowed) {
+            continue;
+          }
+
+          // Leads at their jurisdiction's attempt limit wait until it resets
+          const limit = await jurisdictionService.checkAttemptLimits(lead, rules);
+          if (!limit.allowed) {
+            await lead.scheduleNextCall(limit.retryAt);
+            logger.info('Lead deferred by jurisdiction attempt limit', {
+              leadId: lead._id,
+              campaignId,
+              rule: limit.rule.name,
+              retryAt: limit.retryAt
+            });
+            continue;
+          }
+
+          // Leads that have cost their share of the budget are retired
+          const leadBudget = await budgetService.checkLead(lead, campaign);
+          if (!leadBudget.allowed) {
+            budgetService.logCapReached(campaign, leadBudget, { leadId: lead._id });
+            await lead.retire(leadBudget.reason);
+            continue;
+          }
+
+          await this.placeCall(lead, campaign);
+        } catch (error) {
+          logger.error('Dialer failed to place call', {
+            error: error.message,
+            code: error.code,
+            campaignId,
+            leadId: lead._id
+          });
+        }
+      }
+
+    } catch (error) {
+      logger.error('Dialer tick failed', {
+        error: error.message,
+        campaignId
+      });
+    } finally {
+      state.ticking = false;
+    }
+  }
+
+  /**
+   * Place an outbound call to a lead and record it
+   * @param {Object} lead - Lead document
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<Object|null>} Saved call record, null when another dialer claimed the lead first
+   */
+  async placeCall(lead, campaign) {
+    const phoneNumber = twilioService.formatPhoneNumber(lead.phoneNumber);
+    const webhookUrl = `${process.env.BASE_URL}/api/webhooks/twilio/voice`;
+
+    // Push the lead out of the callable pool before dialing so the next tick
+    // does not pick it again while this attempt is still ringing. The update
+    // only matches the nextCallDate this dialer read, so when several
+    // instances pick the same lead only one of them dials it.
+    const nextCall = new Date();
+    nextCall.setHours(nextCall.getHours() + (campaign.retryDelay || 24));
+    const claimed = await Lead.findOneAndUpdate(
+      { _id: lead._id, nextCallDate: lead.nextCallDate ?? null },
+      { $set: { nextCallDate: nextCall, lastCallDate: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      logger.debug('Lead already claimed by another dialer', {
+        leadId: lead._id,
+        campaignId: campaign._id
+      });
+      return null;
+    }
+
+    const attemptInfo = await retryPolicyService.getAttemptInfo(claimed._id, campaign._id);
+
+    let callResult;
+    try {
+      callResult = await twilioService.makeCall(phoneNumber, webhookUrl, {
+        campaignId: campaign._id.toString(),
+        leadId: claimed._id.toString()
+      }, {
+        machineDetection: campaign.answeringMachineDetection
+      });
+    } catch (error) {
+      await this.recordFailedDial(claimed, campaign, attemptInfo, error);
+      throw error;
+    }
+
+    const call = new Call({
+      callSid: callResult.callSid,
+      campaignId: campaign._id,
+      leadId: claimed._id,
+      phoneNumber: claimed.phoneNumber,
+      direction: 'outbound',
+      status: 'queued',
+      startedAt: new Date(),
+      ...attemptInfo
+    });
+    await call.save();
+
+    logger.info('Call placed by dialer', {
+      callSid: callResult.callSid,
+      leadId: lead._id,
+      campaignId: campaign._id
+    });
+
+    if (this.io) {
+      this.io.emit('callInitiated', {
+        callId: call._id,
+        callSid: callResult.callSid,
+        leadName: claimed.fullName,
+        phoneNumber: claimed.phoneNumber,
+        campaignName: campaign.name,
+        timestamp: new Date()
+      });
+    }
+
+    return call;
+  }
+
+  /**
+   * Record a dial Twilio rejected as a failed call, with the error as its
+   * note, and reschedule the lead by the retry policy for failed calls
+   * @param {Object} lead - Lead document
+   * @param {Object} campaign - Campaign document
+   * @param {Object} attemptInfo - Attempt details for the call
+   * @param {Error} error - Error from Twilio
+   * @returns {Promise<void>}
+   */
+  async recordFailedDial(lead, campaign, attemptInfo, error) {
+    try {
+      const now = new Date();
+      await Call.create({
+        campaignId: campaign._id,
+        leadId: lead._id,
+        phoneNumber: lead.phoneNumber,
+        direction: 'outbound',
+        status: 'failed',
+        startedAt: now,
+        endedAt: now,
+        duration: 0,
+        notes: `Dial failed: ${error.message}`,
+        ...attemptInfo
+      });
+
+      await retryPolicyService.applyOutcome(lead, campaign, 'failed');
+    } catch (recordError) {
+      logger.error('Failed to record failed dial', {
+        error: recordError.message,
+        campaignId: campaign._id,
+        leadId: lead._id
+      });
+    }
+  }
+
+  /**
+   * Check if a lead has a customer-requested callback that is now due
+   * @param {Object} lead - Lead document
+   * @returns {boolean} Is a due callback
+   */
+  isDueCallback(lead) {
+    return lead.status === 'callback' &&
+      !!lead.requestedCallback?.at &&
+      lead.requestedCallback.at <= new Date();
+  }
+
+  /**
+   * Count calls for a campaign that are still occupying a line
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<number>} Active call count
+   */
+  async countActiveCalls(campaignId) {
+    // Ignore calls whose final status callback never arrived
+    const staleBefore = new Date(Date.now() - this.staleCallMinutes * 60 * 1000);
+
+    return Call.countDocuments({
+      campaignId,
+      status: { $in: ACTIVE_CALL_STATUSES },
+      createdAt: { $gte: staleBefore }
+    });
+  }
+
+  /**
+   * Check whether a campaign still has leads that may be called later
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<boolean>} Has remaining leads
+   */
+  async hasRemainingLeads(campaignId) {
+    const remaining = await Lead.countDocuments({
+      campaignId,
+      doNotCall: false,
+      retiredAt: null,
+      'callBlock.blockedAt': null,
+      status: { $nin: ['do-not-call', 'converted'] }
+    });
+
+    return remaining > 0;
+  }
+
+  /**
+   * Pause a campaign for a reason the system detected and stop dialing
+   * @param {Object} campaign - Campaign document
+   * @param {string} reason - Pause reason
+   * @param {Date} resumeAt - When to resume by itself, if ever
+   * @returns {Promise<void>}
+   */
+  async pauseCampaign(campaign, reason, resumeAt = null) {
+    campaign.status = 'paused';
+    campaign.pausedReason = reason;
+    campaign.pausedUntil = resumeAt || undefined;
+    await campaign.save();
+
+    this.stop(campaign._id);
+    if (resumeAt) {
+      this.scheduleResume(campaign._id, resumeAt);
+    }
+
+    logger.info('Campaign paused by dialer', {
+      campaignId: campaign._id,
+      name: campaign.name,
+      reason,
+      resumeAt
+    });
+
+    if (this.io) {
+      this.io.emit('campaignStopped', {
+        campaignId: campaign._id,
+        name: campaign.name,
+        reason,
+        timestamp: new Date()
+      });
+    }
+  }
+
+  /**
+   * Mark a campaign as completed and stop dialing
+   * @param {Object} campaign - Campaign document
+   * @param {string} reason - Completion reason
+   * @returns {Promise<void>}
+   */
+  async completeCampaign(campaign, reason) {
+    campaign.status = 'completed';
+    campaign.actualEnd = new Date();
+    await campaign.save();
+
+    this.stop(campaign._id);
+
+    logger.info('Campaign completed by dialer', {
+      campaignId: campaign._id,
+      name: campaign.name,
+      reason
+    });
+
+    if (this.io) {
+      this.io.emit('campaignStopped', {
+        campaignId: campaign._id,
+        name: campaign.name,
+        reason,
+        timestamp: new Date()
+      });
+    }
+  }
+}
+
+module.exports = new DialerService();
@@ -0,0 +1,232 @@
+const logger = require('../utils/logger');
+const { tokenize } = require('../utils/text');
+
+// Prices, percentages and discount language
+const PRICE_PATTERN = /(\$\s?\d[\d,]*(\.\d+)?|\b\d[\d,]*(\.\d+)?\s?(dollars|usd|bucks)\b|\b\d+(\.\d+)?\s?(%|percent)\s?(off|discount)?)/gi;
+const DISCOUNT_PATTERN = /\b(discount(ed)?|promo(tion)?|coupon|special (offer|deal|price)|waive[ds]?|free (month|months|trial|upgrade))\b/i;
+
+// Commitments that have to be backed by an approved fact
+const PROMISE_PATTERNS = [
+  /\bguarantee/i,
+  /\bpromise/i,
+  /\brisk[- ]free\b/i,
+  /\bmoney[- ]back\b/i,
+  /\b100 ?(%|percent)\b/i,
+  /\b(we|i)('ll| will) (make sure|ensure|refund|waive|cover|match)\b/i
+];
+
+const FACT_MATCH_THRESHOLD = 0.6; // share of a promise's terms an approved fact must contain
+
+class GuardrailService {
+  /**
+   * Get a campaign's guardrail settings
+   * @param {Object} campaign - Campaign document
+   * @returns {Object|null} Settings, or null when guardrails are off
+   */
+  getSettings(campaign) {
+    const settings = campaign.guardrails || {};
+    return settings.enabled === false ? null : settings;
+  }
+
+  /**
+   * Check an agent reply against the campaign's rules
+   * @param {string} response - Agent reply
+   * @param {Object} campaign - Campaign document
+   * @param {Object} options - { knowledge } passages given to the AI, { priorWords } already spoken this turn
+   * @returns {Array} Violations { rule, detail }
+   */
+  checkResponse(response, campaign, options = {}) {
+    const settings = this.getSettings(campaign);
+    if (!settings || !response) {
+      return [];
+    }
+
+    const { knowledge = [], priorWords = 0 } = options;
+    const violations = [];
+    const lower = response.toLowerCase();
+
+    (settings.bannedPhrases || []).forEach(phrase => {
+      if (phrase && lower.includes(phrase.toLowerCase())) {
+        violations.push({ rule: 'banned-phrase', detail: phrase });
+      }
+    });
+
+    // Prices may only be quoted from approved claims or the knowledge base
+    const approvedText = [
+      ...(settings.approvedPriceClaims || []),
+      ...knowledge.map(passage => passage.text)
+    ].join(' ').toLowerCase();
+
+    (response.match(PRICE_PATTERN) || []).forEach(claim => {
+      const amount = claim.replace(/[^\d.%]/g, '').replace(/\.$/, '');
+      if (!this.containsAmount(approvedText, amount)) {
+        violations.push({ rule: 'price-claim', detail: claim.trim() });
+      }
+    });
+
+    const discount = response.match(DISCOUNT_PATTERN);
+    if (discount && !approvedText.includes(discount[0].toLowerCase())) {
+      violations.push({ rule: 'price-claim', detail: discount[0] });
+    }
+
+    const maxWords = settings.maxResponseWords || 60;
+    const words = priorWords + this.countWords(response);
+    if (words > maxWords) {
+      violations.push({ rule: 'response-length', detail: `${words} words (max ${maxWords})` });
+    }
+
+    // Commitments must match an approved fact
+    const facts = [
+      ...(settings.approvedFacts || []),
+      ...knowledge.map(passage => passage.text)
+    ];
+    this.splitSentences(response)
+      .filter(sentence => PROMISE_PATTERNS.some(pattern => pattern.test(sentence)))
+      .forEach(sentence => {
+        if (!this.isBackedByFact(sentence, facts)) {
+          violations.push({ rule: 'unapproved-promise', detail: sentence });
+        }
+      });
+
+    return violations;
+  }
+
+  /**
+   * Check if the call has run past the campaign's turn or duration limit
+   * @param {Object} conversation - Conversation context
+   * @returns {Object|null} Violation { rule, detail }, or null within limits
+   */
+  checkCallLimits(conversation) {
+    const settings = this.getSettings(conversation.campaign);
+    if (!settings) {
+      return null;
+    }
+
+    const turns = conversation.conversationHistory.filter(msg => msg.speaker === 'customer').length;
+    if (settings.maxTurns && turns > settings.maxTurns) {
+      return { rule: 'max-turns', detail: `${turns} turns (max ${settings.maxTurns})` };
+    }
+
+    const seconds = Math.round((Date.now() - new Date(conversation.startTime).getTime()) / 1000);
+    if (settings.maxDurationSeconds && seconds > settings.maxDurationSeconds) {
+      return { rule: 'max-duration', detail: `${seconds}s (max ${settings.maxDurationSeconds}s)` };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if text mentions an amount as a whole number, so "99" does not
+   * match "1999"
+   * @param {string} text - Text to search
+   * @param {string} amount - Amount such as "99", "249.50" or "10%"
+   * @returns {boolean} Is mentioned
+   */
+  containsAmount(text, amount) {
+    const escaped = amount.replace(/[.%]/g, char => `\\${char}`);
+    return new RegExp(`(^|[^\\d.])${escaped}(?![\\d])`).test(text.replace(/,/g, ''));
+  }
+
+  /**
+   * Check if a sentence's terms are covered by one of the approved facts
+   * @param {string} sentence - Sentence with a commitment
+   * @param {Array} facts - Approved facts
+   * @returns {boolean} Is backed
+   */
+  isBackedByFact(sentence, facts) {
+    const terms = [...new Set(tokenize(sentence))];
+    if (terms.length === 0) {
+      return true;
+    }
+
+    return facts.some(fact => {
+      const factTerms = new Set(tokenize(fact));
+      const covered = terms.filter(term => factTerms.has(term)).length;
+      return covered / terms.length >= FACT_MATCH_THRESHOLD;
+    });
+  }
+
+  /**
+   * Cut a reply down to the whole sentences that fit the word limit
+   * @param {string} response - Agent reply
+   * @param {Object} campaign - Campaign document
+   * @returns {string} Truncated reply, empty if even the first sentence is too long
+   */
+  truncate(response, campaign) {
+    const maxWords = this.getSettings(campaign)?.maxResponseWords || 60;
+    const kept = [];
+    let words = 0;
+
+    for (const sentence of this.splitSentences(response)) {
+      words += this.countWords(sentence);
+      if (words > maxWords) break;
+      kept.push(sentence);
+    }
+
+    return kept.join(' ');
+  }
+
+  /**
+   * Get the reply said instead of one that broke the rules
+   * @param {Object} campaign - Campaign document
+   * @returns {string} Safe reply
+   */
+  getSafeResponse(campaign) {
+    return campaign.guardrails?.safeResponse ||
+      "That's a great question. I'd rather have a specialist confirm the details with you than guess.";
+  }
+
+  /**
+   * Describe violations as rewrite instructions for the model
+   * @param {Array} violations - Violations { rule, detail }
+   * @param {Object} campaign - Campaign document
+   * @returns {Array} Instructions
+   */
+  describeViolations(violations, campaign) {
+    const maxWords = this.getSettings(campaign)?.maxResponseWords || 60;
+    const instructions = {
+      'banned-phrase': detail => `Do not say "${detail}".`,
+      'price-claim': detail => `Remove "${detail}"; do not quote prices or discounts that are not approved.`,
+      'response-length': () => `Keep it under ${maxWords} words.`,
+      'unapproved-promise': detail => `Do not promise or guarantee anything, e.g. "${detail}".`
+    };
+
+    return violations.map(violation => instructions[violation.rule]?.(violation.detail)).filter(Boolean);
+  }
+
+  /**
+   * Split text into sentences
+   * @param {string} text - Text
+   * @returns {Array} Sentences
+   */
+  splitSentences(text) {
+    return text.split(/(?<=[.!?]["')\]]*)\s+/)
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Count the words in a text
+   * @param {string} text - Text
+   * @returns {number} Word count
+   */
+  countWords(text) {
+    return (text.match(/\S+/g) || []).length;
+  }
+
+  /**
+   * Log a violation
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} violation - { rule, detail, action }
+   */
+  logViolation(callSid, violation) {
+    logger.warn('Guardrail violation', {
+      callSid,
+      rule: violation.rule,
+      detail: violation.detail,
+      action: violation.action
+    });
+  }
+}
+
+module.exports = new GuardrailService();
@@ -0,0 +1,120 @@
+const logger = require('../utils/logger');
+
+// Attempts to rewrite the agent's instructions or role
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override|bypass)\b.{0,30}\b(instructions?|prompts?|rules|guidelines|programming|directives?)\b/i,
+  /\b(system|hidden|initial|original) (prompt|message|instructions)\b/i,
+  /\b(repeat|reveal|print|show|read|tell) (me )?(your|the) (instructions|prompt|rules|script)\b/i,
+  /\byou are (now|no longer)\b/i,
+  /\b(pretend|roleplay|role-play) (to be|you are|you're|as)\b/i,
+  /\b(developer|debug|admin|god|jailbreak|dan) mode\b/i,
+  /\bnew (instructions|rules|role|persona)\b/i,
+  /<\/?\s*(system|assistant|user|customer_speech|instructions?)\b/i
+];
+
+// Profanity aimed at the agent, slurs and threats
+const ABUSE_PATTERNS = [
+  /\b(fuck(ing|er|ed)?|motherfucker|shit(ty)?|bitch|bastard|asshole|dickhead|cunt|piss off)\b/i,
+  /\b(you('re| are)|you) (an? )?(idiot|moron|stupid|dumb|worthless|useless)\b/i,
+  /\b(i('ll| will)|gonna|going to) (kill|hurt|beat|find) you\b/i
+];
+
+// Most severe action first
+const ACTIONS = ['end-call', 'warn', 'deflect'];
+
+const DEFAULT_MESSAGES = {
+  deflect: "I can only help with questions about our offer. What would you like to know?",
+  warn: "I want to keep this conversation respectful. If that continues, I'll need to end the call.",
+  'end-call': "I'm going to end the call here. Goodbye."
+};
+
+class InputScreeningService {
+  /**
+   * Get a campaign's screening settings
+   * @param {Object} campaign - Campaign document
+   * @returns {Object|null} Settings, or null when screening is off
+   */
+  getSettings(campaign) {
+    const settings = campaign.inputScreening || {};
+    return settings.enabled === false ? null : settings;
+  }
+
+  /**
+   * Screen customer speech for prompt injection and abuse
+   * @param {string} speech - What customer said
+   * @param {Object} campaign - Campaign document
+   * @returns {Array} Flags { category, match }
+   */
+  screen(speech, campaign) {
+    if (!speech || !this.getSettings(campaign)) {
+      return [];
+    }
+
+    const flags = [];
+    const check = (category, patterns) => {
+      const hit = patterns.map(pattern => speech.match(pattern)).find(Boolean);
+      if (hit) {
+        flags.push({ category, match: hit[0] });
+      }
+    };
+
+    check('injection', INJECTION_PATTERNS);
+    check('abuse', ABUSE_PATTERNS);
+
+    return flags;
+  }
+
+  /**
+   * Decide how to respond to flagged speech. A warning turns into ending
+   * the call once the customer has used up their warnings.
+   * @param {Array} flags - Flags { category, match }
+   * @param {Object} campaign - Campaign document
+   * @param {number} warningsGiven - Warnings already given on this call
+   * @returns {string} Action: deflect, warn or end-call
+   */
+  getAction(flags, campaign, warningsGiven = 0) {
+    const settings = this.getSettings(campaign) || {};
+    const policy = {
+      injection: settings.injectionAction || 'deflect',
+      abuse: settings.abuseAction || 'warn'
+    };
+
+    const action = ACTIONS.find(candidate => flags.some(flag => policy[flag.category] === candidate)) || 'deflect';
+    const maxWarnings = settings.maxWarnings ?? 1;
+
+    return action === 'warn' && warningsGiven >= maxWarnings ? 'end-call' : action;
+  }
+
+  /**
+   * Get what the agent says for an action
+   * @param {string} action - deflect, warn or end-call
+   * @param {Object} campaign - Campaign document
+   * @returns {string} Agent message
+   */
+  getMessage(action, campaign) {
+    const messages = {
+      deflect: campaign.inputScreening?.deflectMessage,
+      warn: campaign.inputScreening?.warningMessage,
+      'end-call': campaign.inputScreening?.endMessage
+    };
+
+    return messages[action] || DEFAULT_MESSAGES[action];
+  }
+
+  /**
+   * Log flagged speech
+   * @param {string} callSid - Twilio call SID
+   * @param {Array} flags - Flags { category, match }
+   * @param {string} action - Action taken
+   */
+  logFlaggedTurn(callSid, flags, action) {
+    logger.warn('Customer speech flagged', {
+      callSid,
+      categories: flags.map(flag => flag.category),
+      matches: flags.map(flag => flag.match),
+      action
+    });
+  }
+}
+
+module.exports = new InputScreeningService();
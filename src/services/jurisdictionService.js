@@ -0,0 +1,185 @@
+const suppressionService = require('./suppressionService');
+const logger = require('../utils/logger');
+const { getZonedTime, isWithinWindow } = require('../utils/timezone');
+const JurisdictionRule = require('../models/JurisdictionRule');
+const Call = require('../models/Call');
+
+class JurisdictionService {
+  constructor() {
+    this.cacheTtlMs = parseInt(process.env.JURISDICTION_CACHE_SECONDS || 60) * 1000;
+    this.cache = { rules: null, loadedAt: 0 };
+  }
+
+  /**
+   * Get all active jurisdiction rules, cached briefly so the dialer can check
+   * many leads per tick without a query per lead
+   * @returns {Promise<Array>} Active rules
+   */
+  async getRules() {
+    if (this.cache.rules && Date.now() - this.cache.loadedAt < this.cacheTtlMs) {
+      return this.cache.rules;
+    }
+
+    const rules = await JurisdictionRule.find({ active: true });
+    this.cache = { rules, loadedAt: Date.now() };
+    return rules;
+  }
+
+  /**
+   * Drop cached rules after they change
+   */
+  invalidateCache() {
+    this.cache = { rules: null, loadedAt: 0 };
+  }
+
+  /**
+   * Get the area code of a North American phone number
+   * @param {string} phoneNumber - Phone number
+   * @returns {string|null} Three-digit area code
+   */
+  getAreaCode(phoneNumber) {
+    const normalized = suppressionService.normalizeNumber(phoneNumber);
+    const match = normalized.match(/^\+1(\d{3})\d{7}$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Find the rules that apply to a lead, least specific first
+   * @param {Object} lead - Lead document
+   * @param {Array} rules - Active rules
+   * @returns {Array} Matching rules
+   */
+  matchRules(lead, rules) {
+    const country = (lead.address?.country || 'US').toUpperCase();
+    const state = lead.address?.state ? lead.address.state.toUpperCase() : null;
+    const areaCode = this.getAreaCode(lead.phoneNumber);
+
+    return rules
+      .filter(rule => rule.country === country &&
+        (!rule.state || rule.state === state) &&
+        (!rule.areaCode || rule.areaCode === areaCode))
+      .sort((a, b) => a.specificity - b.specificity);
+  }
+
+  /**
+   * Check every matching rule's calling hours in the lead's local time
+   * @param {Object} lead - Lead document
+   * @param {Array} rules - Active rules
+   * @param {string} fallbackTimezone - Timezone used when the lead has none
+   * @param {Date} now - Moment to check
+   * @returns {Object} { allowed, rule }
+   */
+  checkCallingHours(lead, rules, fallbackTimezone = null, now = new Date()) {
+    const local = getZonedTime(now, lead.getTimezone(fallbackTimezone));
+
+    for (const rule of this.matchRules(lead, rules)) {
+      if (!rule.callingHours || rule.callingHours.length === 0) {
+        continue;
+      }
+
+      const permitted = rule.callingHours.some(window =>
+        window.days.includes(local.weekday) &&
+        isWithinWindow(local.minutesOfDay, window.start, window.end));
+
+      if (!permitted) {
+        return { allowed: false, rule };
+      }
+    }
+
+    return { allowed: true, rule: null };
+  }
+
+  /**
+   * Check the per-period attempt limits of every matching rule
+   * @param {Object} lead - Lead document
+   * @param {Array} rules - Active rules
+   * @param {Date} now - Moment to check
+   * @returns {Promise<Object>} { allowed, rule, attempts, retryAt }
+   */
+  async checkAttemptLimits(lead, rules, now = new Date()) {
+    for (const rule of this.matchRules(lead, rules)) {
+      const limit = rule.maxAttempts;
+      if (!limit?.count) {
+        continue;
+      }
+
+      const since = new Date(now.getTime() - (limit.periodHours || 24) * 60 * 60 * 1000);
+      const calls = await Call.find({
+        phoneNumber: lead.phoneNumber,
+        createdAt: { $gte: since }
+      }).select('createdAt').sort({ createdAt: 1 });
+
+      if (calls.length >= limit.count) {
+        // The oldest attempt in the period must age out before the next call
+        const oldest = calls[calls.length - limit.count].createdAt;
+        return {
+          allowed: false,
+          rule,
+          attempts: calls.length,
+          retryAt: new Date(oldest.getTime() + (limit.periodHours || 24) * 60 * 60 * 1000)
+        };
+      }
+    }
+
+    return { allowed: true, rule: null };
+  }
+
+  /**
+   * Decide whether a lead may be called now under its jurisdiction's rules
+   * @param {Object} lead - Lead document
+   * @param {Object} campaign - Campaign document
+   * @param {Date} now - Moment to check
+   * @returns {Promise<Object>} { allowed, reason, retryAt }
+   */
+  async evaluateLead(lead, campaign, now = new Date()) {
+    const rules = await this.getRules();
+
+    const hours = this.checkCallingHours(lead, rules, campaign?.workingHours?.timezone, now);
+    if (!hours.allowed) {
+      return {
+        allowed: false,
+        reason: `Outside permitted calling hours for ${hours.rule.name}`
+      };
+    }
+
+    const limit = await this.checkAttemptLimits(lead, rules, now);
+    if (!limit.allowed) {
+      return {
+        allowed: false,
+        reason: `${limit.rule.name} allows ${limit.rule.maxAttempts.count} calls per ${limit.rule.maxAttempts.periodHours || 24} hours`,
+        retryAt: limit.retryAt
+      };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Get the statements that must open a call to a lead. The most specific
+   * rule that requires a statement supplies its wording.
+   * @param {Object} lead - Lead document
+   * @returns {Promise<Array>} Statements to speak, in order
+   */
+  async getDisclosures(lead) {
+    try {
+      const matching = this.matchRules(lead, await this.getRules()).reverse();
+
+      const aiRule = matching.find(rule => rule.requireAiDisclosure);
+      const recordingRule = matching.find(rule => rule.requireRecordingConsent);
+
+      return [
+        aiRule?.aiDisclosureStatement,
+        recordingRule?.recordingConsentStatement
+      ].filter(Boolean);
+
+    } catch (error) {
+      logger.error('Failed to load jurisdiction disclosures', {
+        error: error.message,
+        leadId: lead._id
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = new JurisdictionService();
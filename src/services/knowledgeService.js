@@ -0,0 +1,300 @@
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const logger = require('../utils/logger');
+const { tokenize } = require('../utils/text');
+
+const MAX_CHUNK_CHARS = 800;
+const MAX_PASSAGES = 3;
+const MIN_PASSAGE_SCORE = 0.5;
+const MIN_CITATION_OVERLAP = 0.25; // share of a reply's terms a passage must contain to be cited
+
+// BM25 ranking parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+class KnowledgeService {
+  constructor() {
+    this.cacheTtlMs = parseInt(process.env.KNOWLEDGE_CACHE_SECONDS || 300) * 1000;
+    this.indexes = new Map(); // campaignId -> { passages, documentFrequency, avgLength, loadedAt }
+  }
+
+  /**
+   * Work out a document's format from its file name
+   * @param {string} filename - File name
+   * @returns {string} 'markdown', 'faq-csv' or 'text'
+   */
+  detectFormat(filename = '') {
+    const lower = filename.toLowerCase();
+    if (lower.endsWith('.md') || lower.endsWith('.markdown')) return 'markdown';
+    if (lower.endsWith('.csv')) return 'faq-csv';
+    return 'text';
+  }
+
+  /**
+   * Store a document for a campaign and split it into passages
+   * @param {string} campaignId - Campaign ID
+   * @param {Object} document - { name, format, content, uploadedBy, chunks } - chunks if already parsed
+   * @returns {Promise<Object>} Saved document
+   */
+  async addDocument(campaignId, { name, format, content, uploadedBy, chunks: parsedChunks }) {
+    const chunks = parsedChunks || await this.parseDocument(format, content);
+    if (chunks.length === 0) {
+      throw new Error('Document has no usable text');
+    }
+
+    const document = await KnowledgeDocument.create({
+      campaignId,
+      name,
+      format,
+      content,
+      chunks,
+      uploadedBy
+    });
+
+    this.invalidateCache(campaignId);
+
+    logger.info('Knowledge document added', {
+      campaignId,
+      documentId: document._id,
+      name,
+      format,
+      chunks: chunks.length
+    });
+
+    return document;
+  }
+
+  /**
+   * Split a document into passages
+   * @param {string} format - 'markdown', 'text' or 'faq-csv'
+   * @param {string} content - Raw document
+   * @returns {Promise<Array>} Chunks { heading, text }
+   */
+  async parseDocument(format, content) {
+    switch (format) {
+      case 'markdown':
+        return this.parseMarkdown(content);
+      case 'faq-csv':
+        return this.parseFaqCsv(content);
+      case 'text':
+        return this.splitText(content).map(text => ({ heading: null, text }));
+      default:
+        throw new Error(`Unsupported knowledge document format: ${format}`);
+    }
+  }
+
+  /**
+   * Split Markdown into passages under their nearest heading
+   * @param {string} content - Markdown
+   * @returns {Array} Chunks { heading, text }
+   */
+  parseMarkdown(content) {
+    const chunks = [];
+    let heading = null;
+    let section = [];
+
+    const flush = () => {
+      this.splitText(section.join('\n')).forEach(text => chunks.push({ heading, text }));
+      section = [];
+    };
+
+    content.split(/\r?\n/).forEach(line => {
+      const match = line.match(/^#{1,6}\s+(.*)$/);
+      if (match) {
+        flush();
+        heading = match[1].trim();
+      } else {
+        section.push(line);
+      }
+    });
+    flush();
+
+    return chunks;
+  }
+
+  /**
+   * Turn a question/answer CSV into one passage per question
+   * @param {string} content - CSV with question and answer columns
+   * @returns {Promise<Array>} Chunks { heading, text }
+   */
+  async parseFaqCsv(content) {
+    const rows = await new Promise((resolve, reject) => {
+      const results = [];
+      Readable.from([content])
+        .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+        .on('data', row => results.push(row))
+        .on('end', () => resolve(results))
+        .on('error', reject);
+    });
+
+    if (rows.length > 0 && !('question' in rows[0] && 'answer' in rows[0])) {
+      throw new Error('FAQ CSV needs question and answer columns');
+    }
+
+    return rows
+      .filter(row => row.question?.trim() && row.answer?.trim())
+      .map(row => ({ heading: row.question.trim(), text: row.answer.trim() }));
+  }
+
+  /**
+   * Split text into passages of whole paragraphs up to MAX_CHUNK_CHARS
+   * @param {string} text - Text
+   * @returns {Array} Passages
+   */
+  splitText(text) {
+    const passages = [];
+    let current = '';
+
+    text.split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .forEach(paragraph => {
+        if (current && current.length + paragraph.length + 1 > MAX_CHUNK_CHARS) {
+          passages.push(current);
+          current = '';
+        }
+        current = current ? `${current} ${paragraph}` : paragraph;
+
+        // Very long paragraphs are cut at sentence boundaries
+        while (current.length > MAX_CHUNK_CHARS) {
+          const cut = current.lastIndexOf('. ', MAX_CHUNK_CHARS);
+          const end = cut > 0 ? cut + 1 : MAX_CHUNK_CHARS;
+          passages.push(current.slice(0, end).trim());
+          current = current.slice(end).trim();
+        }
+      });
+
+    if (current) {
+      passages.push(current);
+    }
+
+    return passages;
+  }
+
+  /**
+   * Get the passage index for a campaign, cached briefly so each turn does
+   * not reload the documents
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} { passages, documentFrequency, avgLength }
+   */
+  async getIndex(campaignId) {
+    const key = String(campaignId);
+    const cached = this.indexes.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTtlMs) {
+      return cached;
+    }
+
+    const documents = await KnowledgeDocument.find({ campaignId, active: true }).select('name chunks');
+
+    const passages = [];
+    documents.forEach(document => {
+      document.chunks.forEach((chunk, chunkIndex) => {
+        const terms = tokenize(`${chunk.heading || ''} ${chunk.text}`);
+        passages.push({
+          documentId: document._id,
+          documentName: document.name,
+          chunkIndex,
+          heading: chunk.heading,
+          text: chunk.text,
+          terms,
+          termSet: new Set(terms)
+        });
+      });
+    });
+
+    const documentFrequency = new Map();
+    passages.forEach(passage => {
+      passage.termSet.forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    const avgLength = passages.length > 0
+      ? passages.reduce((total, passage) => total + passage.terms.length, 0) / passages.length
+      : 0;
+
+    const index = { passages, documentFrequency, avgLength, loadedAt: Date.now() };
+    this.indexes.set(key, index);
+    return index;
+  }
+
+  /**
+   * Drop a campaign's cached index after its documents change
+   * @param {string} campaignId - Campaign ID
+   */
+  invalidateCache(campaignId) {
+    this.indexes.delete(String(campaignId));
+  }
+
+  /**
+   * Find the passages most relevant to what the customer said (BM25)
+   * @param {string} campaignId - Campaign ID
+   * @param {string} query - Customer speech
+   * @param {Object} options - { limit, minScore }
+   * @returns {Promise<Array>} Passages { documentId, documentName, chunkIndex, heading, text, score }
+   */
+  async retrieve(campaignId, query, options = {}) {
+    const { limit = MAX_PASSAGES, minScore = MIN_PASSAGE_SCORE } = options;
+    const index = await this.getIndex(campaignId);
+    const queryTerms = [...new Set(tokenize(query))];
+
+    if (index.passages.length === 0 || queryTerms.length === 0) {
+      return [];
+    }
+
+    const total = index.passages.length;
+
+    return index.passages
+      .map(passage => {
+        let score = 0;
+        queryTerms.forEach(term => {
+          const frequency = passage.terms.filter(t => t === term).length;
+          if (frequency === 0) return;
+
+          const df = index.documentFrequency.get(term);
+          const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+          const lengthNorm = 1 - BM25_B + BM25_B * (passage.terms.length / index.avgLength);
+          score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+        });
+        return { passage, score };
+      })
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ passage, score }) => ({
+        documentId: passage.documentId,
+        documentName: passage.documentName,
+        chunkIndex: passage.chunkIndex,
+        heading: passage.heading,
+        text: passage.text,
+        score: Math.round(score * 100) / 100
+      }));
+  }
+
+  /**
+   * Work out which retrieved passages an agent reply drew on
+   * @param {string} response - Agent reply
+   * @param {Array} passages - Passages given to the AI for this turn
+   * @returns {Array} Citations { documentId, documentName, chunkIndex, heading }
+   */
+  attribute(response, passages = []) {
+    const responseTerms = new Set(tokenize(response));
+    if (responseTerms.size === 0) {
+      return [];
+    }
+
+    return passages
+      .filter(passage => {
+        const passageTerms = new Set(tokenize(`${passage.heading || ''} ${passage.text}`));
+        const shared = [...responseTerms].filter(term => passageTerms.has(term)).length;
+        return shared >= 2 && shared / responseTerms.size >= MIN_CITATION_OVERLAP;
+      })
+      .map(passage => ({
+        documentId: passage.documentId,
+        documentName: passage.documentName,
+        chunkIndex: passage.chunkIndex,
+        heading: passage.heading
+      }));
+  }
+}
+
+module.exports = new KnowledgeService();
@@ -0,0 +1,447 @@
+const OpenAI = require('openai');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Canned replies of the stub provider by task; a function is given the request
+const STUB_REPLIES = {
+  conversation: 'Thanks for sharing that. Would a short call with one of our specialists this week be helpful?',
+  sentiment: '{"overall":"neutral","score":0,"confidence":0.5,"reasons":[]}',
+  extraction: '{}',
+  'callback-parsing': '{"callbackRequested":false,"localDateTime":null,"description":null}',
+  'transfer-summary': 'The prospect asked to speak with a specialist.',
+  'call-summary': 'Call handled by the stub LLM provider.',
+  // Hand back the reply it was asked to rewrite
+  rephrase: request => request.messages[request.messages.length - 1]?.content || '',
+  persona: '{"speech":"Thanks, I have to go now.","intent":"hang-up"}'
+};
+
+/*
+ * Every provider takes the same request: OpenAI-style chat messages (tool
+ * calls and tool results included) plus
+ * { model, temperature, maxTokens, tools, presencePenalty, frequencyPenalty },
+ * and returns { text, toolCalls, usage } with tool arguments already parsed.
+ */
+
+/**
+ * Parse tool call arguments, tolerating malformed JSON from the model
+ * @param {string} args - JSON arguments
+ * @returns {Object} Arguments
+ */
+function parseToolArguments(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch (error) {
+    logger.warn('Malformed tool call arguments', { args });
+    return {};
+  }
+}
+
+/**
+ * OpenAI chat completions, and the base for OpenAI-compatible APIs
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} config - { apiKey, baseURL, models: { conversation, default } }
+   */
+  constructor(config = {}) {
+    this.name = 'openai';
+    this.config = config;
+    this.models = config.models || { conversation: 'gpt-4', default: 'gpt-3.5-turbo' };
+    this.client = new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseURL
+    });
+  }
+
+  /**
+   * Get the model used for a task when none is configured
+   * @param {string} task - Task name
+   * @returns {string} Model
+   */
+  getDefaultModel(task) {
+    return this.models[task] || this.models.default;
+  }
+
+  /**
+   * Get the client that serves a request
+   * @returns {OpenAI} Client
+   */
+  getClient() {
+    return this.client;
+  }
+
+  /**
+   * Build the chat completions request body
+   * @param {Object} request - Provider request
+   * @returns {Object} Request body
+   */
+  buildBody(request) {
+    const body = {
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens
+    };
+    if (request.presencePenalty !== undefined) body.presence_penalty = request.presencePenalty;
+    if (request.frequencyPenalty !== undefined) body.frequency_penalty = request.frequencyPenalty;
+    if (request.tools?.length > 0) body.tools = request.tools;
+    return body;
+  }
+
+  /**
+   * Generate a complete reply
+   * @param {Object} request - Provider request
+   * @param {Object} options - { signal } to abort the request
+   * @returns {Promise<Object>} { text, toolCalls, usage }
+   */
+  async complete(request, options = {}) {
+    const completion = await this.getClient(request.model).chat.completions.create(
+      this.buildBody(request),
+      { signal: options.signal }
+    );
+
+    const message = completion.choices[0].message;
+    return {
+      text: (message.content || '').trim(),
+      toolCalls: (message.tool_calls || []).map(toolCall => ({
+        id: toolCall.id,
+        name: toolCall.function.name,
+        arguments: parseToolArguments(toolCall.function.arguments)
+      })),
+      usage: {
+        inputTokens: completion.usage?.prompt_tokens || 0,
+        outputTokens: completion.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Stream a reply as text deltas
+   * @param {Object} request - Provider request
+   * @param {Object} options - { signal } to abort the request, { onUsage } called with the token counts
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *stream(request, options = {}) {
+    const stream = await this.getClient(request.model).chat.completions.create(
+      { ...this.buildBody(request), stream: true, stream_options: { include_usage: true } },
+      { signal: options.signal }
+    );
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) yield delta;
+
+      // The last chunk carries the token counts
+      if (chunk.usage) {
+        options.onUsage?.({
+          inputTokens: chunk.usage.prompt_tokens || 0,
+          outputTokens: chunk.usage.completion_tokens || 0
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Azure OpenAI deployments; the model name is the deployment name
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  /**
+   * @param {Object} config - { apiKey, endpoint, apiVersion, models }
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'azure';
+    this.clients = new Map(); // deployment -> client
+  }
+
+  /**
+   * Get the client for a deployment
+   * @param {string} model - Deployment name
+   * @returns {OpenAI} Client
+   */
+  getClient(model) {
+    if (!this.clients.has(model)) {
+      const endpoint = (this.config.endpoint || '').replace(/\/+$/, '');
+      this.clients.set(model, new OpenAI({
+        apiKey: this.config.apiKey,
+        baseURL: `${endpoint}/openai/deployments/${model}`,
+        defaultQuery: { 'api-version': this.config.apiVersion },
+        defaultHeaders: { 'api-key': this.config.apiKey }
+      }));
+    }
+    return this.clients.get(model);
+  }
+}
+
+/**
+ * A local OpenAI-compatible server such as Ollama or llama.cpp
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'local';
+  }
+
+  buildBody(request) {
+    // Local servers often reject OpenAI-only sampling options
+    const body = super.buildBody(request);
+    delete body.presence_penalty;
+    delete body.frequency_penalty;
+    return body;
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} config - { apiKey, models: { conversation, default } }
+   */
+  constructor(config = {}) {
+    this.name = 'anthropic';
+    this.config = config;
+    this.models = config.models || { conversation: 'claude-3-5-sonnet-latest', default: 'claude-3-5-haiku-latest' };
+  }
+
+  getDefaultModel(task) {
+    return this.models[task] || this.models.default;
+  }
+
+  /**
+   * Translate an OpenAI-style request into a Messages API body: system
+   * messages move to the system field, tool calls and results become
+   * content blocks and consecutive turns by the same role are merged
+   * @param {Object} request - Provider request
+   * @returns {Object} Request body
+   */
+  buildBody(request) {
+    const system = [];
+    const messages = [];
+
+    const append = (role, blocks) => {
+      const last = messages[messages.length - 1];
+      if (last && last.role === role) {
+        last.content.push(...blocks);
+      } else {
+        messages.push({ role, content: blocks });
+      }
+    };
+
+    request.messages.forEach(msg => {
+      if (msg.role === 'system') {
+        system.push(msg.content);
+      } else if (msg.role === 'tool') {
+        append('user', [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content }]);
+      } else if (msg.role === 'assistant') {
+        const blocks = msg.content ? [{ type: 'text', text: msg.content }] : [];
+        (msg.tool_calls || []).forEach(toolCall => blocks.push({
+          type: 'tool_use',
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: parseToolArguments(toolCall.function.arguments)
+        }));
+        append('assistant', blocks);
+      } else {
+        append('user', [{ type: 'text', text: msg.content }]);
+      }
+    });
+
+    const body = {
+      model: request.model,
+      system: system.join('\n\n'),
+      messages,
+      max_tokens: request.maxTokens || 300,
+      temperature: Math.min(request.temperature ?? 0.7, 1)
+    };
+
+    if (request.tools?.length > 0) {
+      body.tools = request.tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters
+      }));
+    }
+
+    return body;
+  }
+
+  /**
+   * Get the request headers
+   * @returns {Object} Headers
+   */
+  getHeaders() {
+    return {
+      'x-api-key': this.config.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'content-type': 'application/json'
+    };
+  }
+
+  async complete(request, options = {}) {
+    const response = await axios.post(ANTHROPIC_API_URL, this.buildBody(request), {
+      headers: this.getHeaders(),
+      signal: options.signal
+    });
+
+    const content = response.data.content || [];
+    return {
+      text: content.filter(block => block.type === 'text').map(block => block.text).join('').trim(),
+      toolCalls: content.filter(block => block.type === 'tool_use').map(block => ({
+        id: block.id,
+        name: block.name,
+        arguments: block.input || {}
+      })),
+      usage: {
+        inputTokens: response.data.usage?.input_tokens || 0,
+        outputTokens: response.data.usage?.output_tokens || 0
+      }
+    };
+  }
+
+  async *stream(request, options = {}) {
+    const response = await axios.post(ANTHROPIC_API_URL, { ...this.buildBody(request), stream: true }, {
+      headers: this.getHeaders(),
+      responseType: 'stream',
+      signal: options.signal
+    });
+
+    // Server-sent events, one JSON payload per data line
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+
+        const event = JSON.parse(line.slice(5));
+        if (event.type === 'error') {
+          throw new Error(event.error?.message || 'Anthropic stream error');
+        }
+        if (event.type === 'message_start') {
+          usage.inputTokens = event.message?.usage?.input_tokens || 0;
+        }
+        if (event.type === 'message_delta') {
+          usage.outputTokens = event.usage?.output_tokens || usage.outputTokens;
+        }
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          yield event.delta.text;
+        }
+      }
+    }
+
+    options.onUsage?.(usage);
+  }
+}
+
+/**
+ * Canned replies for development and CI, e.g. alongside the mock telephony
+ * provider. Needs no key and makes no network requests. Its default model
+ * for a task is stub-<task>, which picks the reply.
+ */
+class StubProvider {
+  /**
+   * @param {Object} config - { replies } by task, merged over STUB_REPLIES
+   */
+  constructor(config = {}) {
+    this.name = 'stub';
+    this.replies = { ...STUB_REPLIES, ...config.replies };
+  }
+
+  getDefaultModel(task) {
+    return `stub-${task}`;
+  }
+
+  /**
+   * Get the canned reply for a request
+   * @param {Object} request - Provider request
+   * @returns {string} Reply
+   */
+  getReply(request) {
+    const task = (request.model || '').replace(/^stub-/, '');
+    const reply = this.replies[task] ?? this.replies.conversation;
+    return typeof reply === 'function' ? reply(request) : reply;
+  }
+
+  /**
+   * Count tokens roughly, so cost tracking sees some usage
+   * @param {string} text - Text
+   * @returns {number} Tokens
+   */
+  countTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  async complete(request) {
+    const text = this.getReply(request);
+    return {
+      text,
+      toolCalls: [],
+      usage: {
+        inputTokens: request.messages.reduce((sum, msg) => sum + this.countTokens(msg.content), 0),
+        outputTokens: this.countTokens(text)
+      }
+    };
+  }
+
+  async *stream(request, options = {}) {
+    const { text, usage } = await this.complete(request);
+
+    // Word by word, like a real stream
+    for (const word of text.split(/(?<= )/)) {
+      yield word;
+    }
+
+    options.onUsage?.(usage);
+  }
+}
+
+/**
+ * Create a provider from environment configuration
+ * @param {string} name - openai, anthropic, azure, local or stub
+ * @returns {Object} Provider
+ */
+function createProvider(name) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY });
+    case 'azure': {
+      const deployment = process.env.AZURE_OPENAI_DEPLOYMENT;
+      return new AzureOpenAIProvider({
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+        models: { default: deployment }
+      });
+    }
+    case 'local':
+      return new LocalProvider({
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+        baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+        models: { default: process.env.LOCAL_LLM_MODEL || 'llama3.1' }
+      });
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+module.exports = {
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  LocalProvider,
+  AnthropicProvider,
+  StubProvider,
+  createProvider,
+  parseToolArguments
+};
@@ -0,0 +1,488 @@
+const WebSocket = require('ws');
+const openaiService = require('./openaiService');
+const twilioService = require('./twilioService');
+const conversationService = require('./conversationService');
+const logger = require('../utils/logger');
+const { decodeMulaw, encodeMulaw, pcmFromBuffer, resample, rms, createWav } = require('../utils/audio');
+
+const STREAM_SAMPLE_RATE = 8000;
+const TTS_SAMPLE_RATE = 24000;
+const FRAME_MS = 20; // Twilio sends 20ms media frames
+const MIN_SPEECH_MS = 100; // voiced audio needed before an utterance starts
+const MIN_UTTERANCE_MS = 250; // shorter utterances are treated as noise
+const PRE_ROLL_FRAMES = 10; // audio kept from just before speech was detected
+const OUTBOUND_CHUNK_BYTES = 3200; // 400ms of mu-law per media message
+
+class MediaStreamService {
+  constructor() {
+    this.path = process.env.MEDIA_STREAM_PATH || '/api/media-stream';
+    this.speechThreshold = parseInt(process.env.MEDIA_STREAM_SPEECH_THRESHOLD) || 600;
+    this.silenceMs = parseInt(process.env.MEDIA_STREAM_SILENCE_MS) || 700;
+    this.noInputMs = parseInt(process.env.MEDIA_STREAM_NO_INPUT_MS) || 8000;
+    this.wss = null;
+    this.sessions = new Map(); // streamSid -> session state
+  }
+
+  /**
+   * Accept media stream WebSockets on the existing HTTP server. Other
+   * upgrade requests (Socket.io) are left to their own handlers.
+   * @param {Object} server - HTTP server
+   */
+  attach(server) {
+    this.wss = new WebSocket.Server({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== this.path) {
+        return;
+      }
+
+      // The socket drives a live call, so only Twilio may open it. The mock
+      // telephony provider does not sign its requests.
+      const signature = req.headers['x-twilio-signature'];
+      if (!twilioService.isMock() &&
+        (!signature || !twilioService.validateWebhook(this.getStreamUrl(), {}, signature))) {
+        logger.warn('Missing or invalid Twilio media stream signature');
+        socket.destroy();
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, ws => this.handleConnection(ws));
+    });
+
+    logger.info('Media stream endpoint ready', { path: this.path });
+  }
+
+  /**
+   * Get the public URL Twilio should stream call audio to
+   * @returns {string} wss:// URL
+   */
+  getStreamUrl() {
+    return `${(process.env.BASE_URL || '').replace(/^http/, 'ws')}${this.path}`;
+  }
+
+  /**
+   * Set up a new media stream connection
+   * @param {Object} ws - WebSocket
+   */
+  handleConnection(ws) {
+    const session = {
+      ws,
+      streamSid: null,
+      callSid: null,
+      campaign: null,
+      voicedMs: 0,
+      silentMs: 0,
+      inUtterance: false,
+      utterance: [],
+      preRoll: [],
+      agentSpeaking: false,
+      interrupted: false,
+      lastMark: null,
+      markCount: 0,
+      noInputTimer: null,
+      noInputPrompted: false,
+      queue: Promise.resolve(), // customer turns are handled one at a time
+      closed: false
+    };
+
+    ws.on('message', data => {
+      try {
+        this.handleMessage(session, JSON.parse(data));
+      } catch (error) {
+        logger.error('Failed to handle media stream message', {
+          error: error.message,
+          callSid: session.callSid
+        });
+      }
+    });
+
+    ws.on('close', () => this.closeSession(session));
+    ws.on('error', error => {
+      logger.error('Media stream socket error', { error: error.message, callSid: session.callSid });
+    });
+  }
+
+  /**
+   * Dispatch a Twilio media stream message
+   * @param {Object} session - Session state
+   * @param {Object} message - Parsed message
+   */
+  handleMessage(session, message) {
+    switch (message.event) {
+      case 'start':
+        this.enqueue(session, () => this.handleStart(session, message.start));
+        break;
+      case 'media':
+        if (message.media.track === 'inbound' || !message.media.track) {
+          this.handleAudio(session, Buffer.from(message.media.payload, 'base64'));
+        }
+        break;
+      case 'mark':
+        this.handleMark(session, message.mark.name);
+        break;
+      case 'stop':
+        this.closeSession(session);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Bind the stream to its conversation and speak the opening line
+   * @param {Object} session - Session state
+   * @param {Object} start - Start message payload
+   * @returns {Promise<void>}
+   */
+  async handleStart(session, start) {
+    session.streamSid = start.streamSid;
+    session.callSid = start.callSid || start.customParameters?.callSid;
+    this.sessions.set(session.streamSid, session);
+
+    const conversation = await conversationService.getConversation(session.callSid);
+    if (!conversation) {
+      logger.error('Media stream started without an active conversation', { callSid: session.callSid });
+      session.ws.close();
+      return;
+    }
+
+    session.campaign = conversation.campaign;
+
+    logger.info('Media stream started', {
+      callSid: session.callSid,
+      streamSid: session.streamSid
+    });
+
+    const openingMessage = await conversationService.buildOpeningMessage(conversation);
+    await this.speak(session, openingMessage);
+  }
+
+  /**
+   * Run voice activity detection on an inbound frame and collect utterances
+   * @param {Object} session - Session state
+   * @param {Buffer} payload - mu-law audio
+   */
+  handleAudio(session, payload) {
+    if (!session.campaign || session.closed) {
+      return;
+    }
+
+    const samples = decodeMulaw(payload);
+    const voiced = rms(samples) >= this.speechThreshold;
+
+    if (!session.inUtterance) {
+      session.preRoll.push(samples);
+      if (session.preRoll.length > PRE_ROLL_FRAMES) {
+        session.preRoll.shift();
+      }
+
+      session.voicedMs = voiced ? session.voicedMs + FRAME_MS : 0;
+      if (session.voicedMs >= MIN_SPEECH_MS) {
+        this.startUtterance(session);
+      }
+      return;
+    }
+
+    session.utterance.push(samples);
+    session.silentMs = voiced ? 0 : session.silentMs + FRAME_MS;
+
+    if (session.silentMs >= this.silenceMs) {
+      this.endUtterance(session);
+    }
+  }
+
+  /**
+   * Begin collecting an utterance, interrupting the agent if it is talking
+   * @param {Object} session - Session state
+   */
+  startUtterance(session) {
+    session.inUtterance = true;
+    session.silentMs = 0;
+    session.utterance = session.preRoll;
+    session.preRoll = [];
+    session.noInputPrompted = false;
+    this.clearNoInputTimer(session);
+
+    if (session.agentSpeaking && session.campaign.streaming?.bargeIn !== false) {
+      this.interrupt(session);
+    }
+  }
+
+  /**
+   * Finish an utterance and queue it for transcription and a reply
+   * @param {Object} session - Session state
+   */
+  endUtterance(session) {
+    const frames = session.utterance;
+    session.inUtterance = false;
+    session.utterance = [];
+    session.voicedMs = 0;
+
+    const speechMs = (frames.length * FRAME_MS) - session.silentMs;
+    if (speechMs < MIN_UTTERANCE_MS) {
+      return;
+    }
+
+    const samples = new Int16Array(frames.reduce((total, frame) => total + frame.length, 0));
+    let offset = 0;
+    frames.forEach(frame => {
+      samples.set(frame, offset);
+      offset += frame.length;
+    });
+
+    this.enqueue(session, () => this.respond(session, samples));
+  }
+
+  /**
+   * Transcribe an utterance, run it through the conversation and reply
+   * @param {Object} session - Session state
+   * @param {Int16Array} samples - Utterance audio
+   * @returns {Promise<void>}
+   */
+  async respond(session, samples) {
+    this.clearNoInputTimer(session);
+    session.interrupted = false;
+
+    const language = (session.campaign.voiceSettings?.language || 'en-US').split('-')[0];
+    const customerSpeech = await openaiService.transcribeAudio(
+      createWav(samples, STREAM_SAMPLE_RATE),
+      { language, callSid: session.callSid, durationSeconds: samples.length / STREAM_SAMPLE_RATE }
+    );
+
+    if (!customerSpeech || session.closed) {
+      return;
+    }
+
+    logger.debug('Media stream utterance transcribed', {
+      callSid: session.callSid,
+      customerSpeech
+    });
+
+    const turn = await conversationService.processCustomerSpeech(
+      session.callSid,
+      customerSpeech,
+      { incremental: true }
+    );
+    if (session.closed) {
+      return;
+    }
+
+    if (turn.streamed) {
+      await this.speakResponse(session);
+    } else if (turn.continues) {
+      await this.speak(session, turn.message);
+    } else {
+      await this.handoff(session, turn.twiml);
+    }
+  }
+
+  /**
+   * Speak a streamed AI reply sentence by sentence as it is generated. A
+   * filler phrase covers a first sentence that misses the latency budget.
+   * After a barge-in the rest of the reply is drained but not spoken.
+   * @param {Object} session - Session state
+   * @returns {Promise<void>}
+   */
+  async speakResponse(session) {
+    const latencyBudgetMs = session.campaign.aiSettings?.latencyBudgetMs || 1200;
+    let chunk = await conversationService.takeResponse(session.callSid, latencyBudgetMs);
+
+    if (!chunk.finished && chunk.sentences.length === 0 && !session.interrupted) {
+      await this.speak(session, conversationService.getFillerPhrase(session.campaign));
+    }
+
+    for (;;) {
+      if (session.closed) {
+        return;
+      }
+
+      if (chunk.turn) {
+        await this.handoff(session, chunk.turn.twiml);
+        return;
+      }
+
+      if (chunk.sentences.length > 0 && !session.interrupted) {
+        await this.speak(session, chunk.sentences.join(' '));
+      }
+
+      if (chunk.finished) {
+        return;
+      }
+
+      chunk = await conversationService.takeResponse(session.callSid);
+    }
+  }
+
+  /**
+   * Synthesize a message and play it into the call
+   * @param {Object} session - Session state
+   * @param {string} message - Text to speak
+   * @returns {Promise<void>}
+   */
+  async speak(session, message) {
+    const pcm = await openaiService.synthesizeSpeech(message, {
+      voice: session.campaign.streaming?.ttsVoice,
+      speed: session.campaign.voiceSettings?.speed,
+      callSid: session.callSid
+    });
+
+    if (session.closed) {
+      return;
+    }
+
+    const audio = encodeMulaw(resample(pcmFromBuffer(pcm), TTS_SAMPLE_RATE, STREAM_SAMPLE_RATE));
+
+    for (let i = 0; i < audio.length; i += OUTBOUND_CHUNK_BYTES) {
+      this.send(session, {
+        event: 'media',
+        streamSid: session.streamSid,
+        media: { payload: audio.subarray(i, i + OUTBOUND_CHUNK_BYTES).toString('base64') }
+      });
+    }
+
+    // Twilio echoes the mark back once playback reaches it
+    session.markCount += 1;
+    session.lastMark = `agent-${session.markCount}`;
+    session.agentSpeaking = true;
+    this.send(session, {
+      event: 'mark',
+      streamSid: session.streamSid,
+      mark: { name: session.lastMark }
+    });
+  }
+
+  /**
+   * Track playback progress; the agent has finished once its last mark returns
+   * @param {Object} session - Session state
+   * @param {string} name - Mark name
+   */
+  handleMark(session, name) {
+    if (name !== session.lastMark) {
+      return;
+    }
+
+    session.agentSpeaking = false;
+    if (!session.inUtterance) {
+      this.startNoInputTimer(session);
+    }
+  }
+
+  /**
+   * Stop agent playback because the customer started talking
+   * @param {Object} session - Session state
+   */
+  interrupt(session) {
+    session.agentSpeaking = false;
+    session.interrupted = true;
+    this.send(session, { event: 'clear', streamSid: session.streamSid });
+
+    logger.debug('Agent interrupted by customer', { callSid: session.callSid });
+  }
+
+  /**
+   * Prompt the customer once if they stay silent after the agent finishes
+   * @param {Object} session - Session state
+   */
+  startNoInputTimer(session) {
+    this.clearNoInputTimer(session);
+
+    if (session.noInputPrompted) {
+      return;
+    }
+
+    session.noInputTimer = setTimeout(() => {
+      session.noInputPrompted = true;
+      this.enqueue(session, () => this.speak(session, "I didn't hear anything. Are you still there?"));
+    }, this.noInputMs);
+  }
+
+  /**
+   * Cancel a pending no-input prompt
+   * @param {Object} session - Session state
+   */
+  clearNoInputTimer(session) {
+    if (session.noInputTimer) {
+      clearTimeout(session.noInputTimer);
+      session.noInputTimer = null;
+    }
+  }
+
+  /**
+   * Leave streaming mode by redirecting the live call to TwiML, e.g. to
+   * say goodbye and hang up or to dial a rep. This ends the stream.
+   * @param {Object} session - Session state
+   * @param {string} twiml - TwiML to run
+   * @returns {Promise<void>}
+   */
+  async handoff(session, twiml) {
+    session.closed = true;
+    this.clearNoInputTimer(session);
+
+    try {
+      await twilioService.updateCall(session.callSid, { twiml });
+    } catch (error) {
+      logger.error('Failed to hand off media stream call', {
+        error: error.message,
+        callSid: session.callSid
+      });
+    }
+  }
+
+  /**
+   * Run a task after the session's previous tasks finish
+   * @param {Object} session - Session state
+   * @param {Function} task - Async task
+   */
+  enqueue(session, task) {
+    session.queue = session.queue
+      .then(() => (session.closed ? null : task()))
+      .catch(error => {
+        logger.error('Media stream task failed', {
+          error: error.message,
+          callSid: session.callSid
+        });
+      });
+  }
+
+  /**
+   * Send a message to Twilio if the socket is still open
+   * @param {Object} session - Session state
+   * @param {Object} message - Message to send
+   */
+  send(session, message) {
+    if (session.ws.readyState === WebSocket.OPEN) {
+      session.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Clean up after the stream stops. The conversation itself is ended by the
+   * call status webhook, as for gather-based calls.
+   * @param {Object} session - Session state
+   */
+  closeSession(session) {
+    if (session.closed && !this.sessions.has(session.streamSid)) {
+      return;
+    }
+
+    session.closed = true;
+    this.clearNoInputTimer(session);
+    this.sessions.delete(session.streamSid);
+
+    logger.info('Media stream closed', {
+      callSid: session.callSid,
+      streamSid: session.streamSid
+    });
+  }
+
+  /**
+   * Get the number of open media streams
+   * @returns {number} Active stream count
+   */
+  getActiveStreamCount() {
+    return this.sessions.size;
+  }
+}
+
+module.exports = new MediaStreamService();
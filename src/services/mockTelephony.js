@@ -0,0 +1,661 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const EventEmitter = require('events');
+const axios = require('axios');
+const prices = require('../config/pricing');
+const logger = require('../utils/logger');
+
+/*
+ * An offline stand-in for the Twilio REST client. It implements the parts
+ * twilioService uses (calls.create, calls(sid).fetch/update and
+ * recordings(sid).fetch) and plays each call out against our own webhooks:
+ * it posts to the voice URL, runs the TwiML it gets back, answers <Gather>
+ * with a scripted customer and sends the status and recording callbacks.
+ *
+ * A scenario describes the far end of a call:
+ *   answer        - human, machine, no-answer, busy or failed, or weights
+ *                   such as { human: 0.6, 'no-answer': 0.3, busy: 0.1 }
+ *   ringSeconds   - time before the call is answered or given up
+ *   replies       - what the customer says at each <Gather>: an array, or a
+ *                   function (agentText, { turn, call }) that may be async.
+ *                   '' stays silent; null or running out of replies hangs up.
+ *   confidence    - speech recognition confidence reported with each reply
+ *   transfer      - DialCallStatus a <Dial> ends with (completed, no-answer, busy, failed)
+ *   transferSeconds - how long a connected transfer lasts
+ */
+
+const DEFAULT_SCENARIO = {
+  answer: 'human',
+  ringSeconds: 4,
+  replies: [
+    'Yes, speaking.',
+    'Sure, go ahead.',
+    'How much does it cost?',
+    "I'm not interested right now, thanks."
+  ],
+  confidence: 0.92,
+  transfer: 'completed',
+  transferSeconds: 60
+};
+
+// Speaking pace used to time simulated speech
+const WORDS_PER_SECOND = 2.5;
+
+// A call that goes on longer than this is hung up by the simulated customer
+const MAX_TURNS = 50;
+
+// Finished calls kept for fetch()
+const MAX_STORED_CALLS = 1000;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decode XML entities
+ * @param {string} text - XML text
+ * @returns {string} Text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ENTITIES[name]);
+}
+
+/**
+ * Parse a TwiML document into a tree of { name, attributes, children, text }
+ * @param {string} xml - TwiML
+ * @returns {Object} Document node; its first child is <Response>
+ */
+function parseTwiML(xml) {
+  const root = { name: 'Document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const TOKEN = /<(\/?)([A-Za-z]+)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  const source = String(xml || '').replace(/<\?[^>]*\?>/g, '');
+  while ((match = TOKEN.exec(source)) !== null) {
+    const [, closing, name, attributeText, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      parent.text += decodeEntities(text);
+    } else if (closing) {
+      stack.pop();
+    } else {
+      const attributes = {};
+      (attributeText || '').replace(/([\w:-]+)="([^"]*)"/g, (_, key, value) => {
+        attributes[key] = decodeEntities(value);
+      });
+
+      const node = { name, attributes, children: [], text: '' };
+      parent.children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Generate a Twilio-style SID
+ * @param {string} prefix - CA for calls, RE for recordings
+ * @returns {string} SID
+ */
+function generateSid(prefix) {
+  return prefix + crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Pick an answer type from weights
+ * @param {string|Object} answer - Answer type or { type: weight }
+ * @returns {string} Answer type
+ */
+function pickAnswer(answer) {
+  if (typeof answer === 'string') {
+    return answer;
+  }
+
+  const entries = Object.entries(answer || {});
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = Math.random() * total;
+  const picked = entries.find(([, weight]) => (roll -= weight) < 0);
+
+  return picked ? picked[0] : 'human';
+}
+
+class MockTelephonyClient extends EventEmitter {
+  /**
+   * @param {Object} config - { accountSid, timeScale, scenarioPath, requestTimeoutMs }
+   */
+  constructor(config = {}) {
+    super();
+    this.accountSid = config.accountSid || `AC${'0'.repeat(32)}`;
+    // Real seconds waited per simulated second; 0 runs calls as fast as the webhooks answer
+    this.timeScale = config.timeScale ?? 1;
+    this.requestTimeoutMs = config.requestTimeoutMs || 30000;
+    this.defaultScenario = this.loadScenario(config.scenarioPath);
+    this.scenarios = new Map(); // phone number -> scenario
+    this.callRecords = new Map(); // sid -> call
+    this.recordingRecords = new Map(); // sid -> recording
+
+    // Mirror the Twilio client shape: client.calls.create() and client.calls(sid).fetch()
+    this.calls = sid => ({
+      fetch: async () => this.fetchCall(sid),
+      update: async updates => this.updateCall(sid, updates)
+    });
+    this.calls.create = params => this.createCall(params);
+    this.recordings = sid => ({
+      fetch: async () => this.fetchRecording(sid)
+    });
+  }
+
+  /**
+   * Load the default scenario, merging a JSON file over the built-in one
+   * @param {string} scenarioPath - Path to a scenario JSON file
+   * @returns {Object} Scenario
+   */
+  loadScenario(scenarioPath) {
+    if (!scenarioPath) {
+      return DEFAULT_SCENARIO;
+    }
+
+    try {
+      return { ...DEFAULT_SCENARIO, ...JSON.parse(fs.readFileSync(scenarioPath, 'utf8')) };
+    } catch (error) {
+      logger.error('Failed to load mock telephony scenario, using default', {
+        error: error.message,
+        path: scenarioPath
+      });
+      return DEFAULT_SCENARIO;
+    }
+  }
+
+  /**
+   * Set the scenario for calls to a number, or the default with no number
+   * @param {string|null} phoneNumber - E.164 number
+   * @param {Object} scenario - Scenario
+   */
+  setScenario(phoneNumber, scenario) {
+    if (phoneNumber) {
+      this.scenarios.set(phoneNumber, { ...DEFAULT_SCENARIO, ...scenario });
+    } else {
+      this.defaultScenario = { ...DEFAULT_SCENARIO, ...scenario };
+    }
+  }
+
+  /**
+   * Get a simulated call, with its transcript
+   * @param {string} sid - Call SID
+   * @returns {Object|null} Call
+   */
+  getCall(sid) {
+    return this.callRecords.get(sid) || null;
+  }
+
+  /**
+   * Place a simulated call. The call plays out in the background.
+   * @param {Object} params - Twilio calls.create parameters
+   * @returns {Promise<Object>} Call resource
+   */
+  async createCall(params) {
+    const call = {
+      sid: generateSid('CA'),
+      to: params.to,
+      from: params.from,
+      params,
+      scenario: this.scenarios.get(params.to) || this.defaultScenario,
+      status: 'queued',
+      direction: 'outbound-api',
+      answeredBy: null,
+      startTime: null,
+      endTime: null,
+      duration: 0,
+      elapsed: 0, // simulated seconds since the call was answered
+      turns: 0,
+      transcript: [],
+      interrupt: null,
+      error: null, // set when the call used TwiML the simulator cannot run
+      dateCreated: new Date()
+    };
+
+    this.callRecords.set(call.sid, call);
+    this.pruneCalls();
+
+    logger.info('Mock call placed', { callSid: call.sid, to: call.to, answer: call.scenario.answer });
+
+    const resource = this.toResource(call);
+    this.run(call).catch(error => {
+      logger.error('Mock call failed', { error: error.message, callSid: call.sid });
+    });
+
+    return resource;
+  }
+
+  /**
+   * Play a call out from ringing to its final status callback
+   * @param {Object} call - Simulated call
+   * @returns {Promise<void>}
+   */
+  async run(call) {
+    const { scenario, params } = call;
+    const answer = pickAnswer(scenario.answer);
+
+    await this.sendStatus(call, 'ringing');
+    await this.wait(answer === 'no-answer' ? params.timeout || 30 : scenario.ringSeconds);
+
+    if (call.interrupt?.hangup) {
+      return this.finish(call, 'canceled');
+    }
+    if (['no-answer', 'busy', 'failed'].includes(answer)) {
+      return this.finish(call, answer);
+    }
+
+    call.status = 'in-progress';
+    call.startTime = new Date();
+    call.isMachine = answer === 'machine';
+    if (params.machineDetection) {
+      const endOfMessage = params.machineDetection === 'DetectMessageEnd';
+      call.answeredBy = call.isMachine ? (endOfMessage ? 'machine_end_beep' : 'machine_start') : 'human';
+    }
+
+    await this.sendStatus(call, 'in-progress');
+
+    let twiml = await this.request(call, params.url);
+    while (twiml !== null && call.status === 'in-progress') {
+      twiml = await this.execute(call, twiml);
+    }
+
+    return this.finish(call, 'completed');
+  }
+
+  /**
+   * Run a TwiML document
+   * @param {Object} call - Simulated call
+   * @param {string} twiml - TwiML
+   * @returns {Promise<string|null>} The next document, or null when the call ends
+   */
+  async execute(call, twiml) {
+    const response = parseTwiML(twiml).children.find(node => node.name === 'Response');
+    if (!response) {
+      logger.warn('Mock call received invalid TwiML', { callSid: call.sid, twiml });
+      return null;
+    }
+
+    for (const verb of response.children) {
+      if (call.interrupt) {
+        return this.handleInterrupt(call);
+      }
+
+      switch (verb.name) {
+        case 'Say':
+          await this.speak(call, 'agent', verb.text.trim());
+          break;
+
+        case 'Play':
+          call.transcript.push({ speaker: 'agent', text: `[audio ${verb.text.trim()}]`, at: Math.round(call.elapsed * 10) / 10 });
+          await this.wait(3, call);
+          break;
+
+        case 'Pause':
+          await this.wait(parseInt(verb.attributes.length) || 1, call);
+          break;
+
+        case 'Gather': {
+          for (const child of verb.children) {
+            if (child.name === 'Say') await this.speak(call, 'agent', child.text.trim());
+          }
+
+          const reply = await this.getReply(call);
+          if (reply === null) {
+            call.transcript.push({ speaker: 'customer', text: '[hangs up]', at: Math.round(call.elapsed * 10) / 10 });
+            return null;
+          }
+          if (reply === '') {
+            // No speech: Twilio moves on to the verbs after <Gather>
+            await this.wait(parseInt(verb.attributes.timeout) || 5, call);
+            break;
+          }
+
+          await this.speak(call, 'customer', reply);
+          return this.request(call, verb.attributes.action, {
+            SpeechResult: reply,
+            Confidence: String(call.scenario.confidence)
+          });
+        }
+
+        case 'Redirect':
+          return this.request(call, verb.text.trim());
+
+        case 'Hangup':
+          return null;
+
+        case 'Dial':
+          return this.dial(call, verb);
+
+        case 'Enqueue': {
+          const bridged = call.scenario.transfer === 'completed';
+          if (bridged) await this.wait(call.scenario.transferSeconds, call);
+          if (!verb.attributes.action) return null;
+          return this.request(call, verb.attributes.action, {
+            QueueResult: bridged ? 'bridged' : 'hangup',
+            QueueTime: String(bridged ? call.scenario.transferSeconds : 0)
+          });
+        }
+
+        case 'Connect':
+          // Media streams need real audio. The call ends here, flagged so a
+          // test does not mistake it for a finished conversation.
+          call.error = 'Media streams (<Connect>) are not simulated';
+          call.transcript.push({ speaker: 'agent', text: '[unsupported: <Connect>]', at: Math.round(call.elapsed * 10) / 10 });
+          logger.error('Mock telephony cannot simulate media streams, ending call', { callSid: call.sid });
+          return null;
+
+        default:
+          logger.debug('Mock telephony ignoring TwiML verb', { callSid: call.sid, verb: verb.name });
+      }
+    }
+
+    // Twilio hangs up when a document runs out of verbs
+    return null;
+  }
+
+  /**
+   * Simulate a <Dial> to a rep, including the whisper on the rep's leg
+   * @param {Object} call - Simulated call
+   * @param {Object} verb - Dial node
+   * @returns {Promise<string|null>} The action's TwiML, or null
+   */
+  async dial(call, verb) {
+    const status = call.scenario.transfer || 'completed';
+    const number = verb.children.find(child => child.name === 'Number');
+    let duration = 0;
+
+    if (status === 'completed') {
+      if (number?.attributes.url) {
+        await this.request(call, number.attributes.url);
+      }
+      duration = call.scenario.transferSeconds;
+      call.transcript.push({ speaker: 'system', text: `[transferred to ${number?.text.trim()}]`, at: Math.round(call.elapsed * 10) / 10 });
+      await this.wait(duration, call);
+    } else {
+      await this.wait(parseInt(verb.attributes.timeout) || 30, call);
+    }
+
+    if (!verb.attributes.action) {
+      return null;
+    }
+
+    return this.request(call, verb.attributes.action, {
+      DialCallStatus: status,
+      DialCallDuration: String(duration)
+    });
+  }
+
+  /**
+   * Act on a live update made through calls(sid).update()
+   * @param {Object} call - Simulated call
+   * @returns {Promise<string|null>} The next document, or null when the call ends
+   */
+  async handleInterrupt(call) {
+    const { interrupt } = call;
+    call.interrupt = null;
+
+    if (interrupt.hangup) return null;
+    if (interrupt.twiml) return interrupt.twiml;
+    return this.request(call, interrupt.url);
+  }
+
+  /**
+   * Get the customer's next reply from the scenario
+   * @param {Object} call - Simulated call
+   * @returns {Promise<string|null>} Reply, '' for silence or null to hang up
+   */
+  async getReply(call) {
+    const { replies } = call.scenario;
+    const turn = call.turns++;
+
+    // A machine never answers questions
+    if (call.isMachine) {
+      return turn === 0 ? '' : null;
+    }
+    if (turn >= MAX_TURNS) {
+      return null;
+    }
+
+    const agentText = [...call.transcript].reverse().find(entry => entry.speaker === 'agent')?.text || '';
+    const reply = typeof replies === 'function'
+      ? await replies(agentText, { turn, call })
+      : (replies || [])[turn];
+
+    return reply === undefined ? null : reply;
+  }
+
+  /**
+   * Add speech to the transcript and let the time it takes pass
+   * @param {Object} call - Simulated call
+   * @param {string} speaker - agent or customer
+   * @param {string} text - What was said
+   * @returns {Promise<void>}
+   */
+  async speak(call, speaker, text) {
+    if (!text) return;
+
+    call.transcript.push({ speaker, text, at: Math.round(call.elapsed * 10) / 10 });
+    const words = text.split(/\s+/).length;
+    await this.wait(words / WORDS_PER_SECOND + (speaker === 'customer' ? 1 : 0), call);
+  }
+
+  /**
+   * Let simulated time pass
+   * @param {number} seconds - Simulated seconds
+   * @param {Object} call - Call whose clock advances, if answered
+   * @returns {Promise<void>}
+   */
+  async wait(seconds, call = null) {
+    if (call) {
+      call.elapsed += seconds;
+    }
+    if (this.timeScale > 0 && seconds > 0) {
+      await new Promise(resolve => setTimeout(resolve, seconds * 1000 * this.timeScale));
+    }
+  }
+
+  /**
+   * Post to one of our webhooks the way Twilio does
+   * @param {Object} call - Simulated call
+   * @param {string} url - Webhook URL
+   * @param {Object} extra - Parameters beyond the standard call parameters
+   * @returns {Promise<string|null>} Response body, or null when the request failed
+   */
+  async request(call, url, extra = {}) {
+    if (!url) {
+      return null;
+    }
+
+    const body = {
+      AccountSid: this.accountSid,
+      ApiVersion: '2010-04-01',
+      CallSid: call.sid,
+      CallStatus: call.status,
+      Direction: call.direction,
+      From: call.from,
+      To: call.to,
+      ...(call.answeredBy && { AnsweredBy: call.answeredBy }),
+      ...extra
+    };
+
+    try {
+      const response = await axios.post(url, new URLSearchParams(body).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        responseType: 'text',
+        timeout: this.requestTimeoutMs
+      });
+      return String(response.data);
+    } catch (error) {
+      // Twilio ends a call whose webhook fails
+      logger.error('Mock telephony webhook request failed', {
+        error: error.message,
+        callSid: call.sid,
+        url
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Send a status callback
+   * @param {Object} call - Simulated call
+   * @param {string} status - Call status
+   * @param {Object} extra - Extra parameters
+   * @returns {Promise<void>}
+   */
+  async sendStatus(call, status, extra = {}) {
+    call.status = status;
+    await this.request(call, call.params.statusCallback, extra);
+  }
+
+  /**
+   * End a call and send the final status and recording callbacks
+   * @param {Object} call - Simulated call
+   * @param {string} status - Final status
+   * @returns {Promise<void>}
+   */
+  async finish(call, status) {
+    const answered = !!call.startTime;
+    call.endTime = new Date();
+    call.duration = answered ? Math.ceil(call.elapsed) : 0;
+
+    await this.sendStatus(call, status, { CallDuration: String(call.duration) });
+
+    if (answered && call.params.record && call.params.recordingStatusCallback) {
+      const recordingSid = generateSid('RE');
+      const recording = {
+        sid: recordingSid,
+        accountSid: this.accountSid,
+        callSid: call.sid,
+        status: 'completed',
+        startTime: call.startTime,
+        duration: String(call.duration),
+        price: null,
+        uri: `/2010-04-01/Accounts/${this.accountSid}/Recordings/${recordingSid}.json`
+      };
+      this.recordingRecords.set(recordingSid, recording);
+
+      await this.request(call, call.params.recordingStatusCallback, {
+        RecordingSid: recording.sid,
+        RecordingUrl: `https://api.twilio.com${recording.uri.replace(/\.json$/, '')}`,
+        RecordingStatus: 'completed',
+        RecordingDuration: recording.duration
+      });
+    }
+
+    logger.info('Mock call ended', {
+      callSid: call.sid,
+      status,
+      duration: call.duration,
+      turns: call.turns
+    });
+
+    this.emit('callEnded', call);
+  }
+
+  /**
+   * Get a call as Twilio's fetch() returns it
+   * @param {string} sid - Call SID
+   * @returns {Object} Call resource
+   */
+  fetchCall(sid) {
+    const call = this.callRecords.get(sid);
+    if (!call) {
+      const error = new Error(`The requested resource /Calls/${sid}.json was not found`);
+      error.status = 404;
+      error.code = 20404;
+      throw error;
+    }
+
+    return this.toResource(call);
+  }
+
+  /**
+   * Update a live call: hang it up, or hand it new TwiML or a new URL
+   * @param {string} sid - Call SID
+   * @param {Object} updates - { status, twiml, url }
+   * @returns {Object} Call resource
+   */
+  updateCall(sid, updates = {}) {
+    const call = this.callRecords.get(sid);
+    if (!call) {
+      return this.fetchCall(sid);
+    }
+
+    if (['completed', 'canceled'].includes(updates.status)) {
+      call.interrupt = { hangup: true };
+    } else if (updates.twiml) {
+      call.interrupt = { twiml: String(updates.twiml) };
+    } else if (updates.url) {
+      call.interrupt = { url: updates.url };
+    }
+
+    return this.toResource(call);
+  }
+
+  /**
+   * Get a recording as Twilio's fetch() returns it
+   * @param {string} sid - Recording SID
+   * @returns {Object} Recording resource
+   */
+  fetchRecording(sid) {
+    const recording = this.recordingRecords.get(sid);
+    if (!recording) {
+      const error = new Error(`The requested resource /Recordings/${sid}.json was not found`);
+      error.status = 404;
+      error.code = 20404;
+      throw error;
+    }
+
+    return recording;
+  }
+
+  /**
+   * Shape a call like a Twilio call resource
+   * @param {Object} call - Simulated call
+   * @returns {Object} Call resource
+   */
+  toResource(call) {
+    const ended = !!call.endTime;
+    const price = ended && call.duration > 0
+      ? -(Math.ceil(call.duration / 60) * prices.telephony.perMinute)
+      : null;
+
+    return {
+      sid: call.sid,
+      status: call.status,
+      direction: call.direction,
+      from: call.from,
+      to: call.to,
+      startTime: call.startTime,
+      endTime: call.endTime,
+      duration: ended ? String(call.duration) : null,
+      answeredBy: call.answeredBy,
+      price: price === null ? null : price.toFixed(4),
+      priceUnit: 'USD'
+    };
+  }
+
+  /**
+   * Forget the oldest finished calls once too many are stored
+   */
+  pruneCalls() {
+    if (this.callRecords.size <= MAX_STORED_CALLS) {
+      return;
+    }
+
+    for (const [sid, call] of this.callRecords) {
+      if (this.callRecords.size <= MAX_STORED_CALLS) break;
+      if (call.endTime) this.callRecords.delete(sid);
+    }
+  }
+}
+
+module.exports = {
+  MockTelephonyClient,
+  parseTwiML,
+  DEFAULT_SCENARIO
+};
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const Call = require('../models/Call');
+const logger = require('../utils/logger');
+const { tokenize, trigramSimilarity } = require('../utils/text');
+
+const MATCH_THRESHOLD = 0.5; // share of an objection's key terms the utterance must cover
+const MAX_MATCHES = 3;
+const FUZZY_TERM_SIMILARITY = 0.7; // trigram similarity that counts as the same word
+const WINNING_OUTCOMES = ['sale', 'interested'];
+
+// Words that mean the same thing in an objection, mapped to one term
+const SYNONYMS = {
+  price: ['expensive', 'pricey', 'cost', 'costs', 'costly', 'afford', 'budget', 'money', 'cheap', 'cheaper', 'pricing'],
+  competitor: ['vendor', 'provider', 'competition', 'alternative', 'someone'],
+  busy: ['time', 'moment', 'swamped'],
+  think: ['consider', 'mull', 'decide', 'thinking'],
+  info: ['information', 'email', 'brochure', 'details', 'literature'],
+  boss: ['manager', 'partner', 'owner', 'team', 'approval'],
+  interested: ['interest', 'interesting']
+};
+
+const CANONICAL_TERMS = Object.entries(SYNONYMS).reduce((terms, [canonical, words]) => {
+  words.forEach(word => { terms[word] = canonical; });
+  return terms;
+}, {});
+
+class ObjectionService {
+  constructor() {
+    this.indexes = new Map(); // campaignId -> { version, entries, idf }
+  }
+
+  /**
+   * Find the objection playbook entries a customer utterance matches best
+   * @param {Object} campaign - Campaign document
+   * @param {string} utterance - What the customer said
+   * @param {Object} options - { limit, threshold }
+   * @returns {Array} Matches { objectionId, objection, response, score }, best first
+   */
+  match(campaign, utterance, options = {}) {
+    const { limit = MAX_MATCHES, threshold = MATCH_THRESHOLD } = options;
+    const index = this.getIndex(campaign);
+    if (index.entries.length === 0 || !utterance) {
+      return [];
+    }
+
+    const utteranceTerms = this.getTerms(utterance);
+    if (utteranceTerms.length === 0) {
+      return [];
+    }
+
+    return index.entries
+      .map(entry => ({
+        objectionId: entry.objectionId,
+        objection: entry.objection,
+        response: entry.response,
+        score: Math.round(this.scoreEntry(entry, utteranceTerms, index.idf) * 100) / 100
+      }))
+      .filter(match => match.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Score how much of an objection's weighted terms an utterance covers.
+   * Near-miss words (typos, transcription errors) count partially.
+   * @param {Object} entry - Indexed objection
+   * @param {Array} utteranceTerms - Normalized utterance terms
+   * @param {Map} idf - Inverse document frequency per term
+   * @returns {number} Score between 0 and 1
+   */
+  scoreEntry(entry, utteranceTerms, idf) {
+    let covered = 0;
+    let total = 0;
+
+    entry.terms.forEach(term => {
+      const weight = idf.get(term) || 1;
+      total += weight;
+
+      if (utteranceTerms.includes(term)) {
+        covered += weight;
+        return;
+      }
+
+      const best = Math.max(...utteranceTerms.map(word => trigramSimilarity(term, word)));
+      if (best >= FUZZY_TERM_SIMILARITY) {
+        covered += weight * best;
+      }
+    });
+
+    return total > 0 ? covered / total : 0;
+  }
+
+  /**
+   * Get the match index for a campaign's playbook, rebuilding it when the
+   * campaign has changed
+   * @param {Object} campaign - Campaign document
+   * @returns {Object} { version, entries, idf }
+   */
+  getIndex(campaign) {
+    const key = String(campaign._id);
+    const version = campaign.updatedAt ? new Date(campaign.updatedAt).getTime() : null;
+    const cached = this.indexes.get(key);
+
+    if (cached && version !== null && cached.version === version) {
+      return cached;
+    }
+
+    const index = this.buildIndex(campaign.script?.objectionHandling || []);
+    index.version = version;
+    this.indexes.set(key, index);
+
+    logger.debug('Objection playbook indexed', {
+      campaignId: key,
+      objections: index.entries.length
+    });
+
+    return index;
+  }
+
+  /**
+   * Index objection playbook entries for matching
+   * @param {Array} playbook - { _id, objection, response } entries
+   * @returns {Object} { entries, idf }
+   */
+  buildIndex(playbook) {
+    const entries = playbook
+      .filter(oh => oh.objection && oh.response)
+      .map((oh, position) => ({
+        objectionId: oh._id ? String(oh._id) : String(position),
+        objection: oh.objection,
+        response: oh.response,
+        terms: [...new Set(this.getTerms(oh.objection))]
+      }))
+      .filter(entry => entry.terms.length > 0);
+
+    // Terms shared by many objections tell them apart less
+    const documentFrequency = new Map();
+    entries.forEach(entry => {
+      entry.terms.forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    const idf = new Map();
+    documentFrequency.forEach((count, term) => {
+      idf.set(term, Math.log(1 + entries.length / count));
+    });
+
+    return { entries, idf };
+  }
+
+  /**
+   * Break text into normalized terms with objection synonyms folded together
+   * @param {string} text - Text
+   * @returns {Array} Terms
+   */
+  getTerms(text) {
+    return tokenize(text, CANONICAL_TERMS);
+  }
+
+  /**
+   * Usage and win rate of each playbook objection across a campaign's calls.
+   * A call counts once per objection however often it came up; a win is a
+   * call that ended as a sale or with the prospect interested.
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<Array>} { objectionId, objection, response, uses, wins, winRate }
+   */
+  async getStats(campaign) {
+    const results = await Call.aggregate([
+      { $match: { campaignId: new mongoose.Types.ObjectId(String(campaign._id)), 'objections.0': { $exists: true } } },
+      { $unwind: '$objections' },
+      {
+        $group: {
+          _id: { call: '$_id', objectionId: '$objections.objectionId' },
+          objection: { $first: '$objections.objection' },
+          outcome: { $first: '$outcome' }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.objectionId',
+          objection: { $first: '$objection' },
+          uses: { $sum: 1 },
+          wins: { $sum: { $cond: [{ $in: ['$outcome', WINNING_OUTCOMES] }, 1, 0] } }
+        }
+      },
+      { $sort: { uses: -1 } }
+    ]);
+
+    const playbook = campaign.script?.objectionHandling || [];
+
+    return results.map(result => {
+      const entry = playbook.find(oh => String(oh._id) === result._id);
+      return {
+        objectionId: result._id,
+        objection: entry?.objection || result.objection,
+        response: entry?.response || null,
+        uses: result.uses,
+        wins: result.wins,
+        winRate: Math.round((result.wins / result.uses) * 10000) / 100
+      };
+    });
+  }
+}
+
+module.exports = new ObjectionService();
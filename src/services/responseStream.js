@@ -0,0 +1,87 @@
+const logger = require('../utils/logger');
+
+/**
+ * Buffers sentences from a streaming AI response so callers can speak them
+ * as they arrive. Sentences are handed out once, in order.
+ */
+class ResponseStream {
+  /**
+   * @param {AsyncIterable<string>} source - Sentence source
+   * @param {Object} options - { fallback } said when the source fails before producing anything
+   */
+  constructor(source, options = {}) {
+    this.sentences = [];
+    this.cursor = 0;
+    this.finished = false;
+    this.error = null;
+    this.waiters = [];
+    this.fallback = options.fallback;
+    this.done = this.consume(source);
+  }
+
+  /**
+   * Read the source to the end
+   * @param {AsyncIterable<string>} source - Sentence source
+   * @returns {Promise<string>} Full response text
+   */
+  async consume(source) {
+    try {
+      for await (const sentence of source) {
+        this.sentences.push(sentence);
+        this.notify();
+      }
+    } catch (error) {
+      this.error = error;
+      logger.error('Streaming AI response failed', {
+        error: error.message,
+        sentencesReceived: this.sentences.length
+      });
+
+      if (this.sentences.length === 0 && this.fallback) {
+        this.sentences.push(this.fallback);
+      }
+    } finally {
+      this.finished = true;
+      this.notify();
+    }
+
+    return this.sentences.join(' ');
+  }
+
+  /**
+   * Wake up everyone waiting for sentences
+   */
+  notify() {
+    this.waiters.splice(0).forEach(resolve => resolve());
+  }
+
+  /**
+   * Wait for sentences not handed out yet
+   * @param {number} timeoutMs - Longest wait; returns an empty list on timeout
+   * @returns {Promise<Array>} New sentences
+   */
+  async take(timeoutMs = null) {
+    if (this.cursor >= this.sentences.length && !this.finished) {
+      await new Promise(resolve => {
+        this.waiters.push(resolve);
+        if (timeoutMs !== null) {
+          setTimeout(resolve, timeoutMs);
+        }
+      });
+    }
+
+    const sentences = this.sentences.slice(this.cursor);
+    this.cursor = this.sentences.length;
+    return sentences;
+  }
+
+  /**
+   * Check if every sentence has been generated and handed out
+   * @returns {boolean} Is exhausted
+   */
+  isExhausted() {
+    return this.finished && this.cursor >= this.sentences.length;
+  }
+}
+
+module.exports = { ResponseStream };
@@ -0,0 +1,238 @@
+const jurisdictionService = require('./jurisdictionService');
+const logger = require('../utils/logger');
+const Call = require('../models/Call');
+const Lead = require('../models/Lead');
+const Campaign = require('../models/Campaign');
+
+// Defaults applied when a campaign does not define a rule for an outcome.
+// Missing delayHours/maxAttempts fall back to the campaign's retryDelay and
+// maxAttemptsPerLead. Outcomes without a rule (sale, not-interested,
+// wrong-number) end automatic dialing for the lead.
+const DEFAULT_RULES = {
+  'busy': { delayHours: 1 },
+  'no-answer': { delayHours: 4, backoff: 'exponential' },
+  'failed': {},
+  'canceled': { delayHours: 1 },
+  'voicemail': { backoff: 'linear' },
+  'callback': {},
+  'interested': { delayHours: 72 }
+};
+
+// Twilio statuses that mean the lead was never reached
+const UNANSWERED_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+
+const WINDOW_SEARCH_STEP_MINUTES = 15;
+const WINDOW_SEARCH_DAYS = 8;
+
+class RetryPolicyService {
+  /**
+   * Resolve the effective retry rule for an outcome
+   * @param {Object} campaign - Campaign document
+   * @param {string} outcome - Call outcome or Twilio status
+   * @returns {Object|null} Rule or null when the outcome is final
+   */
+  getRule(campaign, outcome) {
+    const policy = campaign.retryPolicy || {};
+    const campaignRule = (policy.rules || []).find(rule => rule.outcome === outcome);
+    const defaultRule = DEFAULT_RULES[outcome];
+
+    if (!campaignRule && !defaultRule) {
+      return null;
+    }
+
+    const rule = { ...defaultRule, ...this.definedFields(campaignRule) };
+
+    return {
+      outcome,
+      delayHours: rule.delayHours ?? campaign.retryDelay ?? 24,
+      maxAttempts: rule.maxAttempts ?? campaign.maxAttemptsPerLead ?? 3,
+      backoff: rule.backoff || policy.backoff || 'fixed',
+      backoffMultiplier: policy.backoffMultiplier || 2,
+      maxDelayHours: policy.maxDelayHours || 168
+    };
+  }
+
+  /**
+   * Compute the delay before the next attempt
+   * @param {Object} rule - Effective rule from getRule
+   * @param {number} attemptsMade - Attempts already made, including the current one
+   * @returns {number} Delay in hours
+   */
+  computeDelayHours(rule, attemptsMade) {
+    const step = Math.max(1, attemptsMade);
+    let delay;
+
+    switch (rule.backoff) {
+      case 'linear':
+        delay = rule.delayHours * step;
+        break;
+      case 'exponential':
+        delay = rule.delayHours * Math.pow(rule.backoffMultiplier, step - 1);
+        break;
+      default:
+        delay = rule.delayHours;
+    }
+
+    return Math.min(delay, rule.maxDelayHours);
+  }
+
+  /**
+   * Work out attempt metadata for a new call to a lead
+   * @param {string} leadId - Lead ID
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Object>} { attemptNumber, isRetry, originalCallId }
+   */
+  async getAttemptInfo(leadId, campaignId) {
+    const previousCalls = await Call.find({ leadId, campaignId })
+      .sort({ createdAt: 1 })
+      .select('_id');
+
+    return {
+      attemptNumber: previousCalls.length + 1,
+      isRetry: previousCalls.length > 0,
+      originalCallId: previousCalls[0]?._id
+    };
+  }
+
+  /**
+   * Schedule the next attempt for a lead or retire it, based on the outcome
+   * @param {Object} lead - Lead document
+   * @param {Object} campaign - Campaign document
+   * @param {string} outcome - Call outcome or Twilio status
+   * @param {Object} options - { requestedTime: Date } to honor a specific time
+   * @returns {Promise<Object>} { action, nextCallDate, attempts, reason }
+   */
+  async applyOutcome(lead, campaign, outcome, options = {}) {
+    const attempts = await Call.countDocuments({ leadId: lead._id, campaignId: campaign._id });
+    const rule = this.getRule(campaign, outcome);
+
+    if (!rule) {
+      const reason = `Final outcome: ${outcome}`;
+      await lead.retire(reason);
+      return { action: 'retire', attempts, reason };
+    }
+
+    // A time the prospect asked for is honored even when attempts run out
+    if (attempts >= rule.maxAttempts && !options.requestedTime) {
+      const reason = `Max attempts reached (${attempts}/${rule.maxAttempts}) after ${outcome}`;
+      await lead.retire(reason);
+
+      logger.info('Lead retired by retry policy', {
+        leadId: lead._id,
+        campaignId: campaign._id,
+        outcome,
+        attempts
+      });
+
+      return { action: 'retire', attempts, reason };
+    }
+
+    let nextCallDate;
+    if (options.requestedTime) {
+      nextCallDate = new Date(options.requestedTime);
+    } else {
+      const delayHours = this.computeDelayHours(rule, attempts);
+      nextCallDate = new Date(Date.now() + delayHours * 60 * 60 * 1000);
+    }
+
+    const jurisdictionRules = await jurisdictionService.getRules();
+    nextCallDate = this.alignToCallingWindow(nextCallDate, lead, campaign, jurisdictionRules);
+    await lead.scheduleNextCall(nextCallDate);
+
+    logger.info('Next call scheduled by retry policy', {
+      leadId: lead._id,
+      campaignId: campaign._id,
+      outcome,
+      attempts,
+      nextCallDate
+    });
+
+    return { action: 'retry', attempts, nextCallDate };
+  }
+
+  /**
+   * Apply the retry policy to a call that never connected
+   * @param {string} callSid - Twilio call SID
+   * @param {string} status - Final Twilio status
+   * @returns {Promise<Object|null>} Retry decision
+   */
+  async handleUnansweredCall(callSid, status) {
+    if (!UNANSWERED_STATUSES.includes(status)) {
+      return null;
+    }
+
+    try {
+      const call = await Call.findOne({ callSid });
+      if (!call) {
+        logger.warn('Unanswered call not found for retry policy', { callSid, status });
+        return null;
+      }
+
+      const lead = await Lead.findById(call.leadId);
+      const campaign = await Campaign.findById(call.campaignId);
+      if (!lead || !campaign) {
+        return null;
+      }
+
+      call.outcome = 'no-answer';
+      await call.save();
+
+      return await this.applyOutcome(lead, campaign, status);
+
+    } catch (error) {
+      logger.error('Failed to apply retry policy to unanswered call', {
+        error: error.message,
+        callSid,
+        status
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Move a date forward to the next moment inside the lead's calling window
+   * @param {Date} date - Earliest acceptable time
+   * @param {Object} lead - Lead document
+   * @param {Object} campaign - Campaign document
+   * @param {Array} jurisdictionRules - Active jurisdiction rules
+   * @returns {Date} Aligned date
+   */
+  alignToCallingWindow(date, lead, campaign, jurisdictionRules = []) {
+    const isPermitted = (moment) =>
+      lead.isInCallingWindow(campaign.workingHours, campaign.workingDays, moment) &&
+      jurisdictionService.checkCallingHours(lead, jurisdictionRules, campaign.workingHours?.timezone, moment).allowed;
+
+    if (isPermitted(date)) {
+      return date;
+    }
+
+    const stepMs = WINDOW_SEARCH_STEP_MINUTES * 60 * 1000;
+    const candidate = new Date(Math.ceil(date.getTime() / stepMs) * stepMs);
+    const limit = date.getTime() + WINDOW_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+    while (candidate.getTime() < limit) {
+      if (isPermitted(candidate)) {
+        return candidate;
+      }
+      candidate.setTime(candidate.getTime() + stepMs);
+    }
+
+    // No overlap between the windows; let the dialer's own checks decide
+    return date;
+  }
+
+  /**
+   * Strip undefined/null fields from a subdocument
+   * @param {Object} rule - Rule subdocument
+   * @returns {Object} Plain object with defined fields
+   */
+  definedFields(rule) {
+    if (!rule) return {};
+    const plain = typeof rule.toObject === 'function' ? rule.toObject() : rule;
+    return Object.fromEntries(
+      Object.entries(plain).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+}
+
+module.exports = new RetryPolicyService();
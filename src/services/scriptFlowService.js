@@ -0,0 +1,321 @@
+const objectionService = require('./objectionService');
+const logger = require('../utils/logger');
+const { tokenize } = require('../utils/text');
+
+// What the agent should be doing in each stage of the call
+const STAGE_GOALS = {
+  opening: 'Confirm you are speaking with the right person and earn a moment of their time.',
+  qualification: 'Work through the remaining qualification questions, one at a time.',
+  presentation: 'Explain how the offer fits what the prospect has told you.',
+  objection: "Address the prospect's concern directly, then return to where the conversation left off.",
+  closing: 'Ask for a clear next step, such as booking a meeting or a follow-up.'
+};
+
+// Stages each stage may move to
+const TRANSITIONS = {
+  opening: ['qualification', 'presentation', 'objection', 'closing'],
+  qualification: ['presentation', 'objection', 'closing'],
+  presentation: ['qualification', 'objection', 'closing'],
+  objection: ['qualification', 'presentation', 'closing'],
+  closing: ['objection', 'presentation']
+};
+
+// Generic objections, on top of the campaign's objection playbook
+const OBJECTION_PATTERNS = [
+  /\btoo (expensive|much|pricey)\b/i,
+  /\b(can't|cannot|can not) afford\b/i,
+  /\bno budget\b/i,
+  /\bnot sure\b/i,
+  /\balready (have|use|using|work with)\b/i,
+  /\bnot (the )?right time\b/i,
+  /\b(need|have) to think\b/i,
+  /\bsend me (some |an )?(info|information|email|details)\b/i
+];
+
+// Signs the prospect is ready to talk next steps
+const INTEREST_PATTERNS = [
+  /\bsounds (good|great|interesting)\b/i,
+  /\b(i'm|i am|we're|we are) interested\b/i,
+  /\bsign (me |us )?up\b/i,
+  /\bhow (do|can) (i|we) (get started|start|buy|sign up)\b/i,
+  /\bnext steps?\b/i,
+  /\blet's do it\b/i
+];
+
+// Agent lines that ask for a commitment
+const CLOSING_PATTERNS = [
+  /\b(schedule|book) (a |an )?(call|demo|meeting)\b/i,
+  /\bnext step\b/i,
+  /\bget (you|you all) (started|set up)\b/i
+];
+
+class ScriptFlowService {
+  /**
+   * Create the flow state for a new call
+   * @param {Object} campaign - Campaign document
+   * @returns {Object} Flow state
+   */
+  initialize(campaign) {
+    return {
+      stage: 'opening',
+      previousStage: null, // stage to return to after an objection
+      awaitingAnswer: null, // index of the question the prospect is answering
+      questions: (campaign.script?.qualification || []).map((q, index) => ({
+        index,
+        question: q.question,
+        status: 'pending',
+        answer: null,
+        askedAt: null,
+        answeredAt: null
+      })),
+      transitions: []
+    };
+  }
+
+  /**
+   * Get the flow state of a conversation, creating it for calls started
+   * before flows were tracked
+   * @param {Object} conversation - Conversation context
+   * @returns {Object} Flow state
+   */
+  getFlow(conversation) {
+    if (!conversation.flow) {
+      conversation.flow = this.initialize(conversation.campaign);
+      conversation.flow.stage = conversation.currentStep || 'opening';
+    }
+    return conversation.flow;
+  }
+
+  /**
+   * Move the conversation to another stage if the script allows it
+   * @param {Object} conversation - Conversation context
+   * @param {string} to - Target stage
+   * @param {string} reason - Why the stage changed
+   * @returns {boolean} Whether the transition happened
+   */
+  transition(conversation, to, reason) {
+    const flow = this.getFlow(conversation);
+    const from = flow.stage;
+
+    if (from === to) {
+      return false;
+    }
+
+    if (!TRANSITIONS[from]?.includes(to)) {
+      logger.warn('Invalid conversation stage transition', {
+        callSid: conversation.callSid,
+        from,
+        to,
+        reason
+      });
+      return false;
+    }
+
+    if (to === 'objection') {
+      flow.previousStage = from;
+    }
+
+    flow.stage = to;
+    flow.transitions.push({ from, to, reason, at: new Date() });
+    conversation.currentStep = to;
+
+    logger.debug('Conversation stage changed', {
+      callSid: conversation.callSid,
+      from,
+      to,
+      reason
+    });
+
+    return true;
+  }
+
+  /**
+   * Update the flow after the prospect speaks: record answers and move on
+   * when the prospect objects, finishes qualifying or shows interest
+   * @param {Object} conversation - Conversation context
+   * @param {string} customerSpeech - What customer said
+   */
+  recordCustomerTurn(conversation, customerSpeech) {
+    const flow = this.getFlow(conversation);
+
+    if (flow.awaitingAnswer !== null) {
+      const question = flow.questions[flow.awaitingAnswer];
+      if (question) {
+        question.status = 'answered';
+        question.answer = customerSpeech;
+        question.answeredAt = new Date();
+      }
+      flow.awaitingAnswer = null;
+    }
+
+    if (this.isObjection(customerSpeech, conversation.campaign)) {
+      this.transition(conversation, 'objection', 'prospect raised an objection');
+      return;
+    }
+
+    if (this.isInterested(customerSpeech) && flow.stage !== 'opening') {
+      this.transition(conversation, 'closing', 'prospect showed interest');
+      return;
+    }
+
+    switch (flow.stage) {
+      case 'opening':
+        this.transition(conversation, this.getNextStage(flow), 'prospect engaged');
+        break;
+      case 'objection':
+        this.transition(conversation, flow.previousStage === 'closing' ? 'closing' : this.getNextStage(flow), 'objection handled');
+        break;
+      case 'qualification':
+        if (this.getRemainingQuestions(flow).length === 0) {
+          this.transition(conversation, 'presentation', 'qualification complete');
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Update the flow after the agent speaks: note which question was asked
+   * and whether the agent asked for a commitment
+   * @param {Object} conversation - Conversation context
+   * @param {string} agentMessage - What the agent said
+   */
+  recordAgentTurn(conversation, agentMessage) {
+    const flow = this.getFlow(conversation);
+
+    const asked = this.findAskedQuestion(flow, agentMessage);
+    if (asked) {
+      asked.status = 'asked';
+      asked.askedAt = new Date();
+      flow.awaitingAnswer = asked.index;
+
+      if (flow.stage === 'opening' || flow.stage === 'presentation') {
+        this.transition(conversation, 'qualification', 'agent asked a qualification question');
+      }
+      return;
+    }
+
+    if (flow.stage === 'presentation' && CLOSING_PATTERNS.some(pattern => pattern.test(agentMessage))) {
+      this.transition(conversation, 'closing', 'agent asked for a commitment');
+    }
+  }
+
+  /**
+   * Pick the stage that follows the opening or an objection
+   * @param {Object} flow - Flow state
+   * @returns {string} Stage
+   */
+  getNextStage(flow) {
+    return this.getRemainingQuestions(flow).length > 0 ? 'qualification' : 'presentation';
+  }
+
+  /**
+   * Get the qualification questions not answered yet
+   * @param {Object} flow - Flow state
+   * @returns {Array} Questions
+   */
+  getRemainingQuestions(flow) {
+    return flow.questions.filter(q => q.status !== 'answered');
+  }
+
+  /**
+   * Find the unanswered qualification question an agent line asks, if any
+   * @param {Object} flow - Flow state
+   * @param {string} agentMessage - What the agent said
+   * @returns {Object|null} Question
+   */
+  findAskedQuestion(flow, agentMessage) {
+    if (!agentMessage.includes('?')) {
+      return null;
+    }
+
+    const messageWords = this.getKeywords(agentMessage);
+    let best = null;
+    let bestScore = 0;
+
+    this.getRemainingQuestions(flow).forEach(q => {
+      const questionWords = this.getKeywords(q.question);
+      if (questionWords.size === 0) return;
+
+      const overlap = [...questionWords].filter(word => messageWords.has(word)).length;
+      const score = overlap / questionWords.size;
+      if (score > bestScore) {
+        best = q;
+        bestScore = score;
+      }
+    });
+
+    return bestScore >= 0.5 ? best : null;
+  }
+
+  /**
+   * Check if the prospect is raising an objection
+   * @param {string} customerSpeech - What customer said
+   * @param {Object} campaign - Campaign document
+   * @returns {boolean} Is an objection
+   */
+  isObjection(customerSpeech, campaign) {
+    if (OBJECTION_PATTERNS.some(pattern => pattern.test(customerSpeech))) {
+      return true;
+    }
+
+    return objectionService.match(campaign, customerSpeech, { limit: 1 }).length > 0;
+  }
+
+  /**
+   * Check if the prospect sounds ready for next steps
+   * @param {string} customerSpeech - What customer said
+   * @returns {boolean} Is interested
+   */
+  isInterested(customerSpeech) {
+    return INTEREST_PATTERNS.some(pattern => pattern.test(customerSpeech));
+  }
+
+  /**
+   * Get the meaningful words of a phrase for loose matching
+   * @param {string} text - Text
+   * @returns {Set} Lower-case keywords
+   */
+  getKeywords(text) {
+    return new Set(tokenize(text).filter(word => word.length > 2));
+  }
+
+  /**
+   * Describe the current stage for the system prompt
+   * @param {Object} conversation - Conversation context
+   * @returns {Object} { name, goal, remainingQuestions, answeredQuestions }
+   */
+  getPromptContext(conversation) {
+    const flow = this.getFlow(conversation);
+
+    return {
+      name: flow.stage,
+      goal: STAGE_GOALS[flow.stage],
+      remainingQuestions: this.getRemainingQuestions(flow).map(q => ({
+        question: q.question,
+        expectedResponses: conversation.campaign.script?.qualification?.[q.index]?.expectedResponses || []
+      })),
+      answeredQuestions: flow.questions
+        .filter(q => q.status === 'answered')
+        .map(q => ({ question: q.question, answer: q.answer }))
+    };
+  }
+
+  /**
+   * Summarize qualification progress for the call record
+   * @param {Object} conversation - Conversation context
+   * @returns {Array} Questions with status and answer
+   */
+  getQualificationSummary(conversation) {
+    return this.getFlow(conversation).questions.map(q => ({
+      question: q.question,
+      status: q.status,
+      answer: q.answer,
+      askedAt: q.askedAt,
+      answeredAt: q.answeredAt
+    }));
+  }
+}
+
+module.exports = new ScriptFlowService();
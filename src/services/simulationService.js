@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const conversationService = require('./conversationService');
+const openaiService = require('./openaiService');
+const logger = require('../utils/logger');
+const Lead = require('../models/Lead');
+const SimulationRun = require('../models/SimulationRun');
+const PERSONAS = require('../config/personas');
+
+// Customer turns after which a simulated call is cut off
+const DEFAULT_MAX_TURNS = 12;
+
+// Twilio's test number range; never dialed
+const SIMULATED_PHONE_NUMBER = '+15005550100';
+
+// A running batch that has not finished a call for this long was cut off,
+// e.g. by a restart of the server running it
+const STALE_RUN_MINUTES = 30;
+
+class SimulationService {
+  /**
+   * List the persona library
+   * @returns {Array} Personas
+   */
+  listPersonas() {
+    return PERSONAS;
+  }
+
+  /**
+   * Get a persona by ID
+   * @param {string} id - Persona ID
+   * @returns {Object|null} Persona
+   */
+  getPersona(id) {
+    return PERSONAS.find(persona => persona.id === id) || null;
+  }
+
+  /**
+   * Build an unsaved lead for a persona
+   * @param {Object} persona - Persona
+   * @param {Object} campaign - Campaign document
+   * @returns {Object} Lead document
+   */
+  buildLead(persona, campaign) {
+    return new Lead({
+      campaignId: campaign._id,
+      firstName: persona.name.split(' ')[0],
+      lastName: persona.name.split(' ').slice(1).join(' '),
+      phoneNumber: SIMULATED_PHONE_NUMBER,
+      timezone: campaign.workingHours?.timezone,
+      ...persona.lead
+    });
+  }
+
+  /**
+   * Start a batch of simulated calls in the background. Its progress and
+   * report are kept on a SimulationRun, so any instance can serve them.
+   * @param {Object} campaign - Campaign document
+   * @param {Array} personas - Personas to play
+   * @param {Object} options - { runsPerPersona, maxTurns }
+   * @returns {Promise<Object>} SimulationRun document
+   */
+  async startRun(campaign, personas, options = {}) {
+    const runsPerPersona = options.runsPerPersona || 1;
+    const run = await SimulationRun.create({
+      campaignId: campaign._id,
+      personas: personas.map(persona => persona.id),
+      runsPerPersona,
+      maxTurns: options.maxTurns,
+      progress: { completed: 0, total: personas.length * runsPerPersona },
+      startedAt: new Date()
+    });
+
+    this.executeRun(run._id, campaign, personas, options);
+
+    return run;
+  }
+
+  /**
+   * Run a started batch and store its report on the run
+   * @param {string} runId - SimulationRun ID
+   * @param {Object} campaign - Campaign document
+   * @param {Array} personas - Personas to play
+   * @param {Object} options - { runsPerPersona, maxTurns }
+   * @returns {Promise<void>}
+   */
+  async executeRun(runId, campaign, personas, options) {
+    try {
+      const report = await this.runBatch(campaign, personas, {
+        ...options,
+        onProgress: completed => SimulationRun.updateOne({ _id: runId }, { $set: { 'progress.completed': completed } })
+      });
+
+      await SimulationRun.updateOne({ _id: runId }, {
+        $set: { status: 'completed', report, finishedAt: new Date() }
+      });
+
+    } catch (error) {
+      logger.error('Simulation run failed', {
+        error: error.message,
+        runId,
+        campaignId: campaign._id
+      });
+
+      await SimulationRun.updateOne({ _id: runId }, {
+        $set: { status: 'failed', error: error.message, finishedAt: new Date() }
+      }).catch(() => null);
+    }
+  }
+
+  /**
+   * Get a campaign's simulation run, failing runs that were cut off
+   * @param {string} campaignId - Campaign ID
+   * @param {string} runId - SimulationRun ID
+   * @returns {Promise<Object|null>} SimulationRun document
+   */
+  async getRun(campaignId, runId) {
+    const run = await SimulationRun.findOne({ _id: runId, campaignId });
+
+    const staleBefore = new Date(Date.now() - STALE_RUN_MINUTES * 60 * 1000);
+    if (run?.status === 'running' && run.updatedAt < staleBefore) {
+      run.status = 'failed';
+      run.error = 'Interrupted before it finished';
+      run.finishedAt = new Date();
+      await run.save();
+    }
+
+    return run;
+  }
+
+  /**
+   * Run simulated calls for each persona and report how the agent did
+   * @param {Object} campaign - Campaign document
+   * @param {Array} personas - Personas to play
+   * @param {Object} options - { runsPerPersona, maxTurns }, plus { onProgress } called with the calls finished so far
+   * @returns {Promise<Object>} { campaign, startedAt, finishedAt, personas, calls }
+   */
+  async runBatch(campaign, personas, options = {}) {
+    const runsPerPersona = options.runsPerPersona || 1;
+    const startedAt = new Date();
+    const calls = [];
+
+    logger.info('Simulation batch started', {
+      campaignId: campaign._id,
+      personas: personas.map(persona => persona.id),
+      runsPerPersona
+    });
+
+    // One call at a time keeps LLM rate limits and spend predictable
+    for (const persona of personas) {
+      for (let run = 0; run < runsPerPersona; run++) {
+        calls.push(await this.runCall(campaign, persona, options));
+        await options.onProgress?.(calls.length);
+      }
+    }
+
+    logger.info('Simulation batch finished', {
+      campaignId: campaign._id,
+      calls: calls.length
+    });
+
+    return {
+      campaign: { id: campaign._id, name: campaign.name },
+      startedAt,
+      finishedAt: new Date(),
+      personas: personas.map(persona => this.summarize(persona, calls.filter(call => call.persona === persona.id))),
+      calls
+    };
+  }
+
+  /**
+   * Play one simulated call between the agent and a persona
+   * @param {Object} campaign - Campaign document
+   * @param {Object} persona - Persona
+   * @param {Object} options - { maxTurns }
+   * @returns {Promise<Object>} Call result
+   */
+  async runCall(campaign, persona, options = {}) {
+    const maxTurns = options.maxTurns || DEFAULT_MAX_TURNS;
+    const callSid = `SIM${crypto.randomBytes(16).toString('hex')}`;
+    const lead = this.buildLead(persona, campaign);
+    const history = [];
+    const optOut = { requested: false, requestedAtTurn: null, honored: false, agentRepliesAfterRequest: 0 };
+    let endedBy = null;
+    let personaError = null;
+    let turns = 0;
+
+    try {
+      const conversation = await conversationService.initializeConversation(callSid, lead, campaign, { simulated: true });
+      const opening = await conversationService.buildOpeningMessage(conversation);
+      history.push({ speaker: 'agent', message: opening });
+
+      while (!endedBy) {
+        if (turns >= maxTurns) {
+          endedBy = 'turn-limit';
+          break;
+        }
+
+        const reply = await openaiService.generatePersonaReply(persona, history, { campaign });
+
+        // A persona the LLM could not play did not hang up
+        if (reply.error) {
+          endedBy = 'error';
+          personaError = reply.error;
+          break;
+        }
+
+        if (!reply.speech) {
+          endedBy = 'persona';
+          break;
+        }
+
+        turns++;
+        history.push({ speaker: 'customer', message: reply.speech, intent: reply.intent });
+
+        const wantsOptOut = reply.intent === 'opt-out' || conversationService.isOptOutRequest(reply.speech);
+        if (wantsOptOut && !optOut.requested) {
+          optOut.requested = true;
+          optOut.requestedAtTurn = turns;
+        }
+
+        const agentTurn = await this.takeAgentTurn(callSid, reply.speech);
+        if (agentTurn.message) {
+          history.push({ speaker: 'agent', message: agentTurn.message });
+        }
+
+        if (!agentTurn.continues) {
+          endedBy = 'agent';
+        } else if (optOut.requested) {
+          optOut.agentRepliesAfterRequest++;
+        }
+
+        if (endedBy === null && reply.intent === 'hang-up') {
+          endedBy = 'persona';
+        }
+      }
+
+      // Calls the agent did not end are hung up like a real customer would
+      const summary = conversationService.takeSimulationResult(callSid) ||
+        await conversationService.endConversation(callSid, 'completed');
+      conversationService.takeSimulationResult(callSid);
+
+      optOut.honored = optOut.requested && summary?.outcome === 'opt-out' && optOut.agentRepliesAfterRequest === 0;
+
+      return {
+        persona: persona.id,
+        callSid,
+        outcome: summary?.outcome || null,
+        turns,
+        endedBy,
+        error: personaError,
+        stage: summary?.stage || null,
+        budgetDiscovered: !!summary?.extractedInfo?.budget,
+        guardrailViolations: summary?.guardrailViolations || [],
+        flaggedTurns: summary?.flaggedTurns || [],
+        optOut,
+        transcript: history.map(({ speaker, message }) => ({ speaker, message }))
+      };
+
+    } catch (error) {
+      logger.error('Simulated call failed', {
+        error: error.message,
+        callSid,
+        persona: persona.id
+      });
+
+      // Clean up whatever state the call left behind
+      await conversationService.endConversation(callSid, 'completed').catch(() => null);
+      conversationService.takeSimulationResult(callSid);
+
+      return {
+        persona: persona.id,
+        callSid,
+        outcome: null,
+        turns,
+        endedBy: 'error',
+        error: error.message,
+        stage: null,
+        budgetDiscovered: false,
+        guardrailViolations: [],
+        flaggedTurns: [],
+        optOut,
+        transcript: history.map(({ speaker, message }) => ({ speaker, message }))
+      };
+    }
+  }
+
+  /**
+   * Get the agent's full reply to a customer line, reading streamed replies to the end
+   * @param {string} callSid - Simulated call SID
+   * @param {string} speech - What the persona said
+   * @returns {Promise<Object>} { message, continues }
+   */
+  async takeAgentTurn(callSid, speech) {
+    const turn = await conversationService.processCustomerSpeech(callSid, speech, { incremental: true });
+    if (!turn.streamed) {
+      return { message: turn.message, continues: turn.continues };
+    }
+
+    const sentences = [];
+    for (;;) {
+      const { sentences: next, finished, turn: handoff } = await conversationService.takeResponse(callSid);
+      if (handoff) {
+        return { message: [...sentences, handoff.message].join(' '), continues: false };
+      }
+
+      sentences.push(...next);
+      if (finished) {
+        return { message: sentences.join(' '), continues: true };
+      }
+    }
+  }
+
+  /**
+   * Summarize a persona's simulated calls
+   * @param {Object} persona - Persona
+   * @param {Array} calls - Call results for the persona
+   * @returns {Object} Persona report
+   */
+  summarize(persona, calls) {
+    const outcomes = {};
+    const endedBy = {};
+    const violationsByRule = {};
+
+    calls.forEach(call => {
+      const outcome = call.outcome || 'error';
+      outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+      endedBy[call.endedBy] = (endedBy[call.endedBy] || 0) + 1;
+      call.guardrailViolations.forEach(violation => {
+        violationsByRule[violation.rule] = (violationsByRule[violation.rule] || 0) + 1;
+      });
+    });
+
+    const optOutRequested = calls.filter(call => call.optOut.requested);
+    const optOutHonored = optOutRequested.filter(call => call.optOut.honored);
+    const totalTurns = calls.reduce((sum, call) => sum + call.turns, 0);
+
+    return {
+      id: persona.id,
+      name: persona.name,
+      runs: calls.length,
+      outcomes,
+      endedBy,
+      avgTurns: calls.length > 0 ? Math.round((totalTurns / calls.length) * 10) / 10 : 0,
+      maxTurns: Math.max(0, ...calls.map(call => call.turns)),
+      guardrailViolations: {
+        total: Object.values(violationsByRule).reduce((sum, count) => sum + count, 0),
+        byRule: violationsByRule
+      },
+      flaggedTurns: calls.reduce((sum, call) => sum + call.flaggedTurns.length, 0),
+      budgetDiscovered: persona.hiddenBudget ? calls.filter(call => call.budgetDiscovered).length : null,
+      optOutCompliance: {
+        expected: !!persona.expectOptOut,
+        requested: optOutRequested.length,
+        honored: optOutHonored.length,
+        rate: optOutRequested.length > 0 ? Math.round((optOutHonored.length / optOutRequested.length) * 10000) / 100 : null
+      }
+    };
+  }
+}
+
+module.exports = new SimulationService();
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const readline = require('readline');
+const twilioService = require('./twilioService');
+const logger = require('../utils/logger');
+const Suppression = require('../models/Suppression');
+
+const IMPORT_BATCH_SIZE = 1000;
+
+class SuppressionService {
+  /**
+   * Normalize a phone number to the format used for suppression lookups
+   * @param {string} phoneNumber - Raw phone number
+   * @returns {string} E.164 phone number
+   */
+  normalizeNumber(phoneNumber) {
+    const formatted = twilioService.formatPhoneNumber(String(phoneNumber || '').trim());
+    return formatted.startsWith('+') ? formatted : `+${formatted.replace(/\D/g, '')}`;
+  }
+
+  /**
+   * Normalize a prefix. Three-digit prefixes are treated as US area codes.
+   * @param {string} prefix - Raw prefix, e.g. "+1212" or "212"
+   * @returns {string} Prefix starting with "+"
+   */
+  normalizePrefix(prefix) {
+    const digits = String(prefix || '').replace(/\D/g, '');
+    return digits.length === 3 ? `+1${digits}` : `+${digits}`;
+  }
+
+  /**
+   * Find the suppression entry that blocks a phone number, if any
+   * @param {string} phoneNumber - Phone number to check
+   * @returns {Promise<Object|null>} Matching suppression entry
+   */
+  async check(phoneNumber) {
+    const normalized = this.normalizeNumber(phoneNumber);
+
+    // Every leading substring of the number is a candidate prefix
+    const prefixes = [];
+    for (let i = 2; i <= normalized.length; i++) {
+      prefixes.push(normalized.slice(0, i));
+    }
+
+    return Suppression.findOne({
+      $and: [
+        { $or: [{ phoneNumber: normalized }, { prefix: { $in: prefixes } }] },
+        { $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: new Date() } }] }
+      ]
+    });
+  }
+
+  /**
+   * Check a lead against the suppression list. Suppressed leads are marked
+   * do-not-call with the reason so they leave every campaign's dialing pool.
+   * @param {Object} lead - Lead document
+   * @returns {Promise<Object|null>} { source, reason, entryId } when suppressed
+   */
+  async checkLead(lead) {
+    const entry = await this.check(lead.phoneNumber);
+    if (!entry) {
+      return null;
+    }
+
+    const block = {
+      entryId: entry._id,
+      source: entry.source,
+      reason: entry.reason || `Listed on ${entry.source} suppression list`
+    };
+
+    entry.matchCount += 1;
+    entry.lastMatchedAt = new Date();
+    await entry.save();
+
+    lead.markDoNotCall(`Suppressed (${block.source}): ${block.reason}`);
+    lead.notes.push({
+      content: `Call blocked by suppression list (${block.source}): ${block.reason}`,
+      addedBy: 'system'
+    });
+    await lead.save();
+
+    logger.warn('Call blocked by suppression list', {
+      leadId: lead._id,
+      phoneNumber: lead.phoneNumber,
+      source: block.source,
+      entryId: entry._id
+    });
+
+    return block;
+  }
+
+  /**
+   * Record a lead's opt-out on the lead and on the global suppression list
+   * @param {Object} lead - Lead document
+   * @param {Object} details - { callSid, campaignId, phrase }
+   * @returns {Promise<Object>} Suppression entry
+   */
+  async recordOptOut(lead, details = {}) {
+    const { callSid, campaignId, phrase = 'opt-out request' } = details;
+    const reason = callSid
+      ? `Opted out during call ${callSid}: "${phrase}"`
+      : `Opted out: "${phrase}"`;
+
+    lead.markDoNotCall(reason);
+    lead.notes.push({
+      content: `Opted out on ${new Date().toISOString()}: "${phrase}"`,
+      addedBy: 'system'
+    });
+    await lead.save();
+
+    const entry = await this.add({
+      phoneNumber: lead.phoneNumber,
+      source: 'opt-out',
+      reason: campaignId ? `${reason} (campaign ${campaignId})` : reason
+    });
+
+    logger.info('Opt-out recorded', {
+      leadId: lead._id,
+      callSid,
+      entryId: entry._id
+    });
+
+    return entry;
+  }
+
+  /**
+   * Add a number or prefix to the suppression list
+   * @param {Object} data - { phoneNumber | prefix, source, reason, addedBy, expiresAt }
+   * @returns {Promise<Object>} Suppression entry
+   */
+  async add(data) {
+    const { phoneNumber, prefix, source = 'internal', reason, addedBy = 'system', expiresAt, importBatchId } = data;
+
+    const filter = prefix
+      ? { prefix: this.normalizePrefix(prefix) }
+      : { phoneNumber: this.normalizeNumber(phoneNumber) };
+
+    const entry = await Suppression.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          ...filter,
+          type: prefix ? 'prefix' : 'number',
+          source,
+          reason,
+          addedBy,
+          expiresAt,
+          importBatchId
+        }
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    logger.info('Suppression entry added', {
+      entryId: entry._id,
+      type: entry.type,
+      source
+    });
+
+    return entry;
+  }
+
+  /**
+   * Import a DNC list file. Supports one number per line, CSV with a phone
+   * column, and the registry "area code,number" layout. Lines ending in "*"
+   * are imported as prefixes.
+   * @param {string} filePath - Path to the uploaded file
+   * @param {Object} options - { source, reason, addedBy, expiresAt }
+   * @returns {Promise<Object>} Import summary
+   */
+  async importFile(filePath, options = {}) {
+    const { source = 'national-dnc', reason, addedBy = 'system', expiresAt } = options;
+    const importBatchId = Date.now().toString();
+    const summary = { importBatchId, processed: 0, imported: 0, skipped: 0, errors: [] };
+
+    let operations = [];
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await Suppression.bulkWrite(operations, { ordered: false });
+      summary.imported += (result.upsertedCount || 0) + (result.modifiedCount || 0);
+      operations = [];
+    };
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      summary.processed++;
+
+      const parsed = this.parseImportLine(line);
+      if (!parsed) {
+        summary.skipped++;
+        continue;
+      }
+
+      const filter = parsed.prefix ? { prefix: parsed.prefix } : { phoneNumber: parsed.phoneNumber };
+      operations.push({
+        updateOne: {
+          filter,
+          update: {
+            $set: { ...filter, type: parsed.prefix ? 'prefix' : 'number', source, reason, addedBy, expiresAt, importBatchId },
+            $setOnInsert: { matchCount: 0 }
+          },
+          upsert: true
+        }
+      });
+
+      if (operations.length >= IMPORT_BATCH_SIZE) {
+        try {
+          await flush();
+        } catch (error) {
+          summary.errors.push(error.message);
+          operations = [];
+        }
+      }
+    }
+
+    try {
+      await flush();
+    } catch (error) {
+      summary.errors.push(error.message);
+    }
+
+    logger.info('Suppression list imported', {
+      importBatchId,
+      source,
+      processed: summary.processed,
+      imported: summary.imported,
+      skipped: summary.skipped
+    });
+
+    return summary;
+  }
+
+  /**
+   * Parse a single line of a DNC list file
+   * @param {string} line - Raw line
+   * @returns {Object|null} { phoneNumber } or { prefix }, null for headers and blanks
+   */
+  parseImportLine(line) {
+    const fields = line.split(/[,;\t|]/).map(field => field.trim().replace(/^"|"$/g, ''));
+    if (!fields[0] || !/\d/.test(fields[0])) {
+      return null;
+    }
+
+    if (fields[0].endsWith('*')) {
+      return { prefix: this.normalizePrefix(fields[0]) };
+    }
+
+    // Registry layout: area code and local number in separate columns
+    let raw = fields[0];
+    if (/^\d{3}$/.test(fields[0]) && /^\d{7}$/.test(fields[1] || '')) {
+      raw = `${fields[0]}${fields[1]}`;
+    }
+
+    const digits = raw.replace(/\D/g, '');
+    if (digits.length < 7) {
+      return null;
+    }
+
+    return { phoneNumber: this.normalizeNumber(raw) };
+  }
+}
+
+module.exports = new SuppressionService();
@@ -0,0 +1,365 @@
+const mongoose = require('mongoose');
+const Lead = require('../models/Lead');
+const logger = require('../utils/logger');
+const { getZonedTime, resolveTimezone, formatForSpeech } = require('../utils/timezone');
+
+// {#if field}, {#if !field}, {#else}, {/if}, {field}, {field:format}, {field|default}, [FIELD_NAME]
+const TOKEN_PATTERN = /\{#if\s+(!?)([\w.]+)\s*\}|\{#else\}|\{\/if\}|\{([\w.]+)(?::(\w+))?(?:\|([^{}]*))?\}|\[([A-Z][A-Z0-9_]*)\]/g;
+
+// Names that mean something else in the [FIELD_NAME] syntax
+const BRACKET_ALIASES = {
+  name: 'firstName'
+};
+
+// Ways to format a date value
+const DATE_FORMATS = {
+  date: { month: 'long', day: 'numeric' },
+  weekday: { weekday: 'long' },
+  time: { hour: 'numeric', minute: '2-digit' }
+};
+
+// Date and time values computed in the lead's timezone
+const HELPERS = ['today', 'tomorrow', 'weekday', 'time', 'timeOfDay', 'greeting', 'year'];
+
+// Campaign fields templates may use as {campaign.field}
+const CAMPAIGN_FIELDS = ['name', 'description'];
+
+// Campaign texts rendered for each lead
+const TEMPLATE_FIELDS = [
+  'script.opening',
+  'script.closing',
+  'script.optOutConfirmation',
+  'answeringMachineDetection.voicemailMessage',
+  'aiSettings.systemPrompt'
+];
+
+class TemplateService {
+  /**
+   * Render a template for a lead
+   * @param {string} template - Template text
+   * @param {Object} lead - Lead document
+   * @param {Object} options - { campaign, timezone, now }
+   * @returns {string} Rendered text
+   */
+  render(template, lead, options = {}) {
+    if (!template) {
+      return template;
+    }
+
+    const { nodes, errors } = this.parse(template);
+    if (errors.length > 0) {
+      logger.warn('Template has syntax errors', { errors: errors.map(e => e.message) });
+    }
+
+    const scope = this.buildScope(lead, options);
+    return this.renderNodes(nodes, scope)
+      .replace(/[ \t]{2,}/g, ' ')
+      .replace(/\s+([,.!?])/g, '$1')
+      .trim();
+  }
+
+  /**
+   * Parse a template into text, variable and conditional nodes
+   * @param {string} template - Template text
+   * @returns {Object} { nodes, errors }
+   */
+  parse(template) {
+    const root = { children: [] };
+    const stack = [root];
+    const errors = [];
+    let cursor = 0;
+    let match;
+
+    const current = () => {
+      const top = stack[stack.length - 1];
+      return top.inElse ? top.otherwise : top.children;
+    };
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(template)) !== null) {
+      if (match.index > cursor) {
+        current().push({ type: 'text', text: template.slice(cursor, match.index) });
+      }
+      cursor = match.index + match[0].length;
+
+      const [raw, negate, condition, path, format, fallback, bracket] = match;
+
+      if (condition) {
+        const node = { type: 'if', raw, path: condition, negate: negate === '!', children: [], otherwise: [], inElse: false };
+        current().push(node);
+        stack.push(node);
+      } else if (raw === '{#else}') {
+        const top = stack[stack.length - 1];
+        if (stack.length === 1 || top.inElse) {
+          errors.push({ placeholder: raw, message: '{#else} without a matching {#if}' });
+        } else {
+          top.inElse = true;
+        }
+      } else if (raw === '{/if}') {
+        if (stack.length === 1) {
+          errors.push({ placeholder: raw, message: '{/if} without a matching {#if}' });
+        } else {
+          stack.pop();
+        }
+      } else if (bracket) {
+        current().push({ type: 'variable', raw, path: this.fromBracketName(bracket), format: null, fallback: null, bracket: true });
+      } else {
+        current().push({ type: 'variable', raw, path, format: format || null, fallback: fallback ?? null });
+      }
+    }
+
+    if (cursor < template.length) {
+      current().push({ type: 'text', text: template.slice(cursor) });
+    }
+
+    stack.slice(1).forEach(node => {
+      errors.push({ placeholder: node.raw, message: `${node.raw} is never closed with {/if}` });
+    });
+
+    return { nodes: root.children, errors };
+  }
+
+  /**
+   * Turn a [FIELD_NAME] placeholder into a field path: LEAD_ is dropped and
+   * the rest camel-cased, so [LEAD_COMPANY] and [COMPANY] both read company
+   * @param {string} name - Placeholder name
+   * @returns {string} Field path
+   */
+  fromBracketName(name) {
+    const camel = name
+      .replace(/^LEAD_/, '')
+      .toLowerCase()
+      .replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase());
+
+    return BRACKET_ALIASES[camel] || camel;
+  }
+
+  /**
+   * Render parsed nodes against a scope
+   * @param {Array} nodes - Parsed nodes
+   * @param {Object} scope - Values by name
+   * @returns {string} Text
+   */
+  renderNodes(nodes, scope) {
+    return nodes.map(node => {
+      if (node.type === 'text') {
+        return node.text;
+      }
+
+      if (node.type === 'if') {
+        const truthy = this.isPresent(this.lookup(node.path, scope));
+        return this.renderNodes(truthy !== node.negate ? node.children : node.otherwise, scope);
+      }
+
+      const value = this.lookup(node.path, scope);
+
+      // Square brackets may be literal text, e.g. [TRANSFER] in a prompt
+      if (value === undefined && node.bracket) {
+        return node.raw;
+      }
+      if (!this.isPresent(value)) {
+        return node.fallback ?? '';
+      }
+      return this.formatValue(value, node.format, scope.timezone);
+    }).join('');
+  }
+
+  /**
+   * Build the values a template can use for a lead
+   * @param {Object} lead - Lead document
+   * @param {Object} options - { campaign, timezone, now }
+   * @returns {Object} Values by name
+   */
+  buildScope(lead, options = {}) {
+    const { campaign = null, now = new Date() } = options;
+    const timezone = resolveTimezone(
+      options.timezone,
+      lead?.getTimezone?.(campaign?.workingHours?.timezone),
+      lead?.timezone
+    );
+
+    const leadValues = typeof lead?.toObject === 'function'
+      ? lead.toObject({ virtuals: true, flattenMaps: true })
+      : { ...(lead || {}) };
+    const customFields = leadValues.customFields instanceof Map
+      ? Object.fromEntries(leadValues.customFields)
+      : leadValues.customFields || {};
+
+    return {
+      // Custom fields can be used by name; lead fields win on a clash
+      ...customFields,
+      ...leadValues,
+      customFields,
+      campaign: campaign ? Object.fromEntries(CAMPAIGN_FIELDS.map(field => [field, campaign[field]])) : {},
+      ...this.getHelpers(now, timezone),
+      timezone
+    };
+  }
+
+  /**
+   * Compute the date and time helpers in a timezone
+   * @param {Date} now - Current time
+   * @param {string} timezone - IANA timezone name
+   * @returns {Object} Helper values
+   */
+  getHelpers(now, timezone) {
+    const { hour, year } = getZonedTime(now, timezone);
+    const timeOfDay = hour < 12 ? 'morning' : hour < 17 ? 'afternoon' : 'evening';
+    const format = (date, style) => new Intl.DateTimeFormat('en-US', { timeZone: timezone, ...style }).format(date);
+    const dayStyle = { weekday: 'long', month: 'long', day: 'numeric' };
+
+    return {
+      today: format(now, dayStyle),
+      tomorrow: format(new Date(now.getTime() + 24 * 60 * 60 * 1000), dayStyle),
+      weekday: format(now, DATE_FORMATS.weekday),
+      time: format(now, DATE_FORMATS.time),
+      timeOfDay,
+      greeting: `Good ${timeOfDay}`,
+      year: String(year)
+    };
+  }
+
+  /**
+   * Look up a dotted path in a scope, trying the snake_case spelling for
+   * custom fields imported from CSV headers
+   * @param {string} path - Field path
+   * @param {Object} scope - Values by name
+   * @returns {*} Value, or undefined
+   */
+  lookup(path, scope) {
+    const read = key => key.split('.').reduce((value, part) => (
+      value === null || value === undefined ? undefined : value[part]
+    ), scope);
+
+    const value = read(path);
+    if (value !== undefined) {
+      return value;
+    }
+
+    return read(path.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`));
+  }
+
+  /**
+   * Check if a value should be spoken / counts as true in {#if}
+   * @param {*} value - Value
+   * @returns {boolean} Is present
+   */
+  isPresent(value) {
+    if (value === null || value === undefined || value === false) return false;
+    if (typeof value === 'string') return value.trim().length > 0;
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+  }
+
+  /**
+   * Format a value for speech
+   * @param {*} value - Value
+   * @param {string} format - date, weekday, time or datetime
+   * @param {string} timezone - IANA timezone name for dates
+   * @returns {string} Text
+   */
+  formatValue(value, format, timezone) {
+    const date = value instanceof Date ? value : format ? new Date(value) : null;
+
+    if (date && !isNaN(date)) {
+      if (format === 'datetime' || !format) {
+        return formatForSpeech(date, timezone);
+      }
+      if (DATE_FORMATS[format]) {
+        return new Intl.DateTimeFormat('en-US', { timeZone: timezone, ...DATE_FORMATS[format] }).format(date);
+      }
+    }
+
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  }
+
+  /**
+   * Check a template for syntax errors and placeholders that no lead field,
+   * custom field or helper provides
+   * @param {string} template - Template text
+   * @param {Set} customFieldNames - Custom field names in use
+   * @returns {Object} { placeholders, errors }
+   */
+  validate(template, customFieldNames = new Set()) {
+    const { nodes, errors } = this.parse(template || '');
+    const placeholders = [];
+
+    const visit = list => list.forEach(node => {
+      if (node.type === 'text') return;
+
+      placeholders.push(node.raw);
+      if (!this.isKnownPath(node.path, customFieldNames)) {
+        errors.push({ placeholder: node.raw, message: `Unknown field "${node.path}"` });
+      }
+      if (node.format && node.format !== 'datetime' && !DATE_FORMATS[node.format]) {
+        errors.push({ placeholder: node.raw, message: `Unknown format "${node.format}"` });
+      }
+      if (node.type === 'if') {
+        visit(node.children);
+        visit(node.otherwise);
+      }
+    });
+    visit(nodes);
+
+    return { placeholders: [...new Set(placeholders)], errors };
+  }
+
+  /**
+   * Check if a field path names something a template can use
+   * @param {string} path - Field path
+   * @param {Set} customFieldNames - Custom field names in use
+   * @returns {boolean} Is known
+   */
+  isKnownPath(path, customFieldNames) {
+    const [root, ...rest] = path.split('.');
+    const snake = name => name.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`);
+    const isCustomField = name => customFieldNames.has(name) || customFieldNames.has(snake(name));
+
+    if (HELPERS.includes(path) || Lead.schema.virtuals[path]) return true;
+    if (root === 'campaign') return CAMPAIGN_FIELDS.includes(rest.join('.'));
+    if (root === 'customFields') return rest.length === 1 && isCustomField(rest[0]);
+    if (Lead.schema.path(path) || Lead.schema.pathType(path) === 'nested') return true;
+
+    return rest.length === 0 && isCustomField(root);
+  }
+
+  /**
+   * Validate every template in a campaign against its leads' custom fields
+   * @param {Object} campaign - Campaign document
+   * @returns {Promise<Object>} { valid, customFields, fields }
+   */
+  async validateCampaign(campaign) {
+    const customFieldNames = await this.getCustomFieldNames(campaign._id);
+    const fields = [];
+
+    TEMPLATE_FIELDS.forEach(field => {
+      const template = campaign.get(field);
+      if (!template) return;
+      fields.push({ field, ...this.validate(template, customFieldNames) });
+    });
+
+    return {
+      valid: fields.every(field => field.errors.length === 0),
+      customFields: [...customFieldNames].sort(),
+      fields
+    };
+  }
+
+  /**
+   * Get the custom field names used by a campaign's leads
+   * @param {string} campaignId - Campaign ID
+   * @returns {Promise<Set>} Field names
+   */
+  async getCustomFieldNames(campaignId) {
+    const results = await Lead.aggregate([
+      { $match: { campaignId: new mongoose.Types.ObjectId(String(campaignId)), customFields: { $exists: true } } },
+      { $project: { fields: { $objectToArray: '$customFields' } } },
+      { $unwind: '$fields' },
+      { $group: { _id: '$fields.k' } }
+    ]);
+
+    return new Set(results.map(result => result._id));
+  }
+}
+
+module.exports = new TemplateService();
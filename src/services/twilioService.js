@@ -1,13 +1,48 @@
 const twilio = require('twilio');
+const { MockTelephonyClient } = require('./mockTelephony');
 const logger = require('../utils/logger');
 
+// Twilio's test number, used as caller ID for simulated calls
+const MOCK_FROM_NUMBER = '+15005550006';
+
+/**
+ * Create the telephony client selected by TELEPHONY_PROVIDER
+ * @param {string} provider - 'twilio' (default) or 'mock'
+ * @returns {Object} Twilio REST client or a mock with the same shape
+ */
+function createTelephonyClient(provider) {
+  switch (provider) {
+    case 'twilio':
+      return twilio(
+        process.env.TWILIO_ACCOUNT_SID,
+        process.env.TWILIO_AUTH_TOKEN
+      );
+    case 'mock': {
+      const timeScale = parseFloat(process.env.MOCK_TELEPHONY_TIME_SCALE);
+      return new MockTelephonyClient({
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        timeScale: isNaN(timeScale) ? 1 : timeScale,
+        scenarioPath: process.env.MOCK_TELEPHONY_SCENARIO_PATH
+      });
+    }
+    default:
+      throw new Error(`Unknown telephony provider: ${provider}`);
+  }
+}
+
 class TwilioService {
   constructor() {
-    this.client = twilio(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_AUTH_TOKEN
-    );
-    this.fromNumber = process.env.TWILIO_PHONE_NUMBER;
+    this.provider = process.env.TELEPHONY_PROVIDER || 'twilio';
+    this.client = createTelephonyClient(this.provider);
+    this.fromNumber = process.env.TWILIO_PHONE_NUMBER || (this.isMock() ? MOCK_FROM_NUMBER : undefined);
+  }
+
+  /**
+   * Check if calls are simulated instead of placed through Twilio
+   * @returns {boolean} Is the mock provider
+   */
+  isMock() {
+    return this.provider === 'mock';
   }
 
   /**
@@ -15,12 +50,21 @@ class TwilioService {
    * @param {string} toNumber - Phone number to call
    * @param {string} webhookUrl - URL for Twilio to send webhooks
    * @param {Object} customData - Custom data to pass to webhook
+   * @param {Object} options - { machineDetection } campaign AMD settings
    * @returns {Promise<Object>} Call object
    */
-  async makeCall(toNumber, webhookUrl, customData = {}) {
+  async makeCall(toNumber, webhookUrl, customData = {}, options = {}) {
     try {
       logger.info(`Initiating call to ${toNumber}`, { toNumber, webhookUrl });
 
+      const { machineDetection } = options;
+      const amdParams = {};
+      if (machineDetection?.enabled) {
+        // Waiting for the greeting to end lets a voicemail be left after the beep
+        amdParams.machineDetection = machineDetection.leaveVoicemail === false ? 'Enable' : 'DetectMessageEnd';
+        amdParams.machineDetectionTimeout = machineDetection.timeout || 30;
+      }
+
       const call = await this.client.calls.create({
         to: toNumber,
         from: this.fromNumber,
@@ -29,7 +73,11 @@ class TwilioService {
         record: true,
         recordingStatusCallback: `${process.env.BASE_URL}/api/webhooks/twilio/recording`,
         recordingStatusCallbackMethod: 'POST',
+        statusCallback: `${process.env.BASE_URL}/api/webhooks/twilio/status`,
+        statusCallbackMethod: 'POST',
+        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
         timeout: 30, // Ring timeout in seconds
+        ...amdParams,
         // Pass custom data as URL parameters
         url: `${webhookUrl}?${new URLSearchParams(customData).toString()}`
       });
@@ -89,10 +137,12 @@ class TwilioService {
         ...gatherOptions
       });
 
-      gather.say({
-        voice,
-        language
-      }, message);
+      if (message) {
+        gather.say({
+          voice,
+          language
+        }, message);
+      }
 
       // Fallback if no input received
       if (gatherOptions.noInputMessage) {
@@ -102,7 +152,7 @@ class TwilioService {
         }, gatherOptions.noInputMessage);
       }
 
-    } else {
+    } else if (message) {
       twiml.say({
         voice,
         language
@@ -128,21 +178,89 @@ class TwilioService {
   /**
    * Generate TwiML to end call
    * @param {string} message - Final message before hanging up
+   * @param {Object} options - Voice options
    * @returns {string} TwiML XML
    */
-  generateHangupTwiML(message = 'Thank you for your time. Goodbye!') {
+  generateHangupTwiML(message = 'Thank you for your time. Goodbye!', options = {}) {
+    const { voice = 'alice', language = 'en-US' } = options;
     const twiml = new twilio.twiml.VoiceResponse();
     
-    twiml.say({
-      voice: 'alice',
-      language: 'en-US'
-    }, message);
+    if (message) {
+      twiml.say({
+        voice,
+        language
+      }, message);
+    }
     
     twiml.hangup();
     
     return twiml.toString();
   }
 
+  /**
+   * Generate TwiML that connects the call to a bidirectional media stream
+   * @param {string} streamUrl - wss:// URL of the media stream endpoint
+   * @param {Object} parameters - Custom parameters passed in the stream's start message
+   * @returns {string} TwiML XML
+   */
+  generateStreamTwiML(streamUrl, parameters = {}) {
+    const twiml = new twilio.twiml.VoiceResponse();
+    const connect = twiml.connect();
+    const stream = connect.stream({ url: streamUrl });
+
+    Object.entries(parameters).forEach(([name, value]) => {
+      stream.parameter({ name, value: String(value) });
+    });
+
+    return twiml.toString();
+  }
+
+  /**
+   * Generate TwiML to hand the call to a human rep
+   * @param {string} message - Announcement for the prospect
+   * @param {Object} options - { voice, language, targetType, target, whisperUrl, actionUrl, timeout }
+   * @returns {string} TwiML XML
+   */
+  generateTransferTwiML(message, options = {}) {
+    const {
+      voice = 'alice',
+      language = 'en-US',
+      targetType = 'number',
+      target,
+      whisperUrl,
+      actionUrl,
+      timeout = 30
+    } = options;
+
+    const twiml = new twilio.twiml.VoiceResponse();
+
+    if (message) {
+      twiml.say({
+        voice,
+        language
+      }, message);
+    }
+
+    if (targetType === 'queue') {
+      // Reps dequeue with <Dial><Queue url="whisperUrl">, which plays the whisper
+      twiml.enqueue({ action: actionUrl, method: 'POST' }, target);
+    } else {
+      const dial = twiml.dial({ action: actionUrl, method: 'POST', timeout });
+      dial.number({ url: whisperUrl, method: 'POST' }, this.formatPhoneNumber(target));
+    }
+
+    return twiml.toString();
+  }
+
+  /**
+   * Check if an AMD result means no person answered
+   * @param {string} answeredBy - Twilio AnsweredBy value
+   * @returns {boolean} Is a machine or fax
+   */
+  isMachineAnswer(answeredBy) {
+    return !!answeredBy && (answeredBy.startsWith('machine') || answeredBy === 'fax');
+  }
+
   /**
    * Get call details from Twilio
    * @param {string} callSid - Twilio call SID
@@ -295,6 +413,10 @@ class TwilioService {
    * @returns {boolean} Is configured
    */
   isConfigured() {
+    if (this.isMock()) {
+      return true;
+    }
+
     return !!(
       process.env.TWILIO_ACCOUNT_SID &&
       process.env.TWILIO_AUTH_TOKEN &&
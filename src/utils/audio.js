@@ -0,0 +1,151 @@
+/**
+ * Audio helpers for Twilio Media Streams, which carry 8kHz mono G.711 mu-law.
+ * Samples are handled as 16-bit signed PCM in Int16Arrays.
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// Decoding table for all 256 mu-law bytes
+const MULAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const value = ~i & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  MULAW_DECODE_TABLE[i] = sign ? -magnitude : magnitude;
+}
+
+/**
+ * Decode mu-law bytes to PCM samples
+ * @param {Buffer} buffer - mu-law audio
+ * @returns {Int16Array} PCM samples
+ */
+function decodeMulaw(buffer) {
+  const samples = new Int16Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) {
+    samples[i] = MULAW_DECODE_TABLE[buffer[i]];
+  }
+  return samples;
+}
+
+/**
+ * Encode PCM samples as mu-law bytes
+ * @param {Int16Array} samples - PCM samples
+ * @returns {Buffer} mu-law audio
+ */
+function encodeMulaw(samples) {
+  const buffer = Buffer.alloc(samples.length);
+
+  for (let i = 0; i < samples.length; i++) {
+    let sample = samples[i];
+    const sign = sample < 0 ? 0x80 : 0;
+    if (sign) sample = -sample;
+    sample = Math.min(sample, MULAW_CLIP) + MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+      exponent--;
+    }
+
+    const mantissa = (sample >> (exponent + 3)) & 0x0f;
+    buffer[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+  }
+
+  return buffer;
+}
+
+/**
+ * Read little-endian 16-bit PCM from a buffer
+ * @param {Buffer} buffer - Raw PCM bytes
+ * @returns {Int16Array} PCM samples
+ */
+function pcmFromBuffer(buffer) {
+  const samples = new Int16Array(Math.floor(buffer.length / 2));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = buffer.readInt16LE(i * 2);
+  }
+  return samples;
+}
+
+/**
+ * Resample PCM by averaging (downsampling) or repeating (upsampling) samples
+ * @param {Int16Array} samples - PCM samples
+ * @param {number} fromRate - Source sample rate
+ * @param {number} toRate - Target sample rate
+ * @returns {Int16Array} Resampled PCM
+ */
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+
+  const ratio = fromRate / toRate;
+  const output = new Int16Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.max(start + 1, Math.floor((i + 1) * ratio));
+    let sum = 0;
+    for (let j = start; j < end && j < samples.length; j++) {
+      sum += samples[j];
+    }
+    output[i] = Math.round(sum / (end - start));
+  }
+
+  return output;
+}
+
+/**
+ * Root-mean-square energy of a frame, used for voice activity detection
+ * @param {Int16Array} samples - PCM samples
+ * @returns {number} RMS energy
+ */
+function rms(samples) {
+  if (samples.length === 0) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Wrap PCM samples in a WAV container for speech-to-text uploads
+ * @param {Int16Array} samples - PCM samples
+ * @param {number} sampleRate - Sample rate
+ * @returns {Buffer} WAV file
+ */
+function createWav(samples, sampleRate) {
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16); // fmt chunk size
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  buffer.writeUInt16LE(2, 32); // block align
+  buffer.writeUInt16LE(16, 34); // bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  for (let i = 0; i < samples.length; i++) {
+    buffer.writeInt16LE(samples[i], 44 + i * 2);
+  }
+
+  return buffer;
+}
+
+module.exports = {
+  decodeMulaw,
+  encodeMulaw,
+  pcmFromBuffer,
+  resample,
+  rms,
+  createWav
+};
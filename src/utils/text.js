@@ -0,0 +1,86 @@
+/**
+ * Text helpers for local matching and retrieval (objection playbook,
+ * knowledge base). Everything runs in process; no external services.
+ */
+
+// Words that carry no meaning for matching
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'i', 'im', 'we', 'you', 'it', 'its', 'is', 'are', 'was',
+  'be', 'to', 'of', 'for', 'on', 'in', 'at', 'with', 'that', 'this', 'just', 'so', 'me', 'my',
+  'our', 'us', 'your', 'do', 'does', 'have', 'has', 'really', 'very', 'um', 'uh', 'like', 'well',
+  'right', 'now', 'yeah', 'okay', 'ok', 'if', 'what', 'about', 'too', 'not', 'no', 'first', 'some',
+  'by', 'can', 'will', 'would', 'could', 'should', 'am', 'been', 'any', 'all', 'them', 'they',
+  'how', 'why', 'where', 'when', 'who', 'which', 'there', 'here', 'tell', 'know', 'get', 'got',
+  'please', 'yes', 'hi', 'hello'
+]);
+
+/**
+ * Strip common English suffixes so word forms match
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word.replace(/(ing|ed|es|ly|s)$/, '');
+}
+
+/**
+ * Break text into normalized terms: lower case, no stop words, simple
+ * suffix stripping and optional synonyms folded together
+ * @param {string} text - Text
+ * @param {Object} synonyms - Map of word (or stem) to the term it stands for
+ * @returns {Array} Terms, in order
+ */
+function tokenize(text, synonyms = {}) {
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/n't\b/g, ' not')
+    .replace(/'/g, '')
+    .match(/[a-z0-9]+/g) || [];
+
+  return words
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => synonyms[word] || stem(word))
+    .map(word => synonyms[word] || word);
+}
+
+/**
+ * Dice similarity of two words' character trigrams
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {number} Similarity between 0 and 1
+ */
+function trigramSimilarity(a, b) {
+  if (a === b) return 1;
+
+  const trigrams = word => {
+    const padded = `  ${word} `;
+    const grams = [];
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.push(padded.slice(i, i + 3));
+    }
+    return grams;
+  };
+
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  const remaining = [...gramsB];
+  let shared = 0;
+
+  gramsA.forEach(gram => {
+    const position = remaining.indexOf(gram);
+    if (position !== -1) {
+      shared++;
+      remaining.splice(position, 1);
+    }
+  });
+
+  return (2 * shared) / (gramsA.length + gramsB.length);
+}
+
+module.exports = {
+  STOP_WORDS,
+  stem,
+  tokenize,
+  trigramSimilarity
+};
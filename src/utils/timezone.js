@@ -0,0 +1,196 @@
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached Intl formatter for a timezone
+ * @param {string} timezone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Check if a timezone name is recognised by the runtime
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} Is valid
+ */
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve the first valid timezone from a list of candidates
+ * @param {...string} candidates - Timezone names in order of preference
+ * @returns {string} Valid timezone
+ */
+function resolveTimezone(...candidates) {
+  return candidates.find(isValidTimezone) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Get wall-clock components of a date in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second, weekday, minutesOfDay }
+ */
+function getZonedTime(date = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  getFormatter(resolveTimezone(timezone)).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const hour = parseInt(parts.hour, 10);
+  const minute = parseInt(parts.minute, 10);
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour,
+    minute,
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday), // 0 = Sunday
+    minutesOfDay: hour * 60 + minute
+  };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ * @param {Object} wallClock - { year, month, day, hour, minute }
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} Matching instant
+ */
+function fromZonedTime({ year, month, day, hour = 0, minute = 0 }, timezone = DEFAULT_TIMEZONE) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Correct by the zone offset at that instant; a second pass settles DST edges
+  let guess = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const zoned = getZonedTime(new Date(guess), timezone);
+    const zonedAsUtc = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute);
+    guess += asUtc - zonedAsUtc;
+  }
+
+  return new Date(guess);
+}
+
+/**
+ * Parse a local "YYYY-MM-DDTHH:mm" string in a timezone into a Date
+ * @param {string} localDateTime - Local date and time
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date|null} Matching instant or null when the string is invalid
+ */
+function parseLocalDateTime(localDateTime, timezone = DEFAULT_TIMEZONE) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/.exec((localDateTime || '').trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute] = match.map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+
+  return fromZonedTime({ year, month, day, hour, minute }, timezone);
+}
+
+/**
+ * Format a date for reading aloud in a timezone, e.g. "Tuesday, October 20 at 3:00 PM"
+ * @param {Date} date - Instant to format
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} Spoken date and time
+ */
+function formatForSpeech(date, timezone = DEFAULT_TIMEZONE) {
+  const zone = resolveTimezone(timezone);
+  const day = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone, weekday: 'long', month: 'long', day: 'numeric'
+  }).format(date);
+  const time = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone, hour: 'numeric', minute: '2-digit'
+  }).format(date);
+
+  return `${day} at ${time}`;
+}
+
+/**
+ * Format a date as a local "YYYY-MM-DD HH:mm (Weekday)" reference for prompts
+ * @param {Date} date - Instant to format
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} Local date and time
+ */
+function formatLocalDateTime(date, timezone = DEFAULT_TIMEZONE) {
+  const local = getZonedTime(date, timezone);
+  const pad = value => String(value).padStart(2, '0');
+
+  return `${local.year}-${pad(local.month)}-${pad(local.day)} ${pad(local.hour)}:${pad(local.minute)} (${WEEKDAY_NAMES[local.weekday]})`;
+}
+
+/**
+ * Parse an "HH:mm" string into minutes after midnight
+ * @param {string} time - Time string
+ * @param {number} fallback - Value to use when the string is invalid
+ * @returns {number} Minutes after midnight
+ */
+function parseTimeToMinutes(time, fallback = 0) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((time || '').trim());
+  if (!match) return fallback;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59) return fallback;
+
+  return Math.min(hours * 60 + minutes, 24 * 60);
+}
+
+/**
+ * Check if a minute-of-day falls inside a window. Windows whose end is
+ * before their start wrap past midnight.
+ * @param {number} minutesOfDay - Minutes after midnight
+ * @param {string} start - Window start "HH:mm"
+ * @param {string} end - Window end "HH:mm" (exclusive)
+ * @returns {boolean} Is within window
+ */
+function isWithinWindow(minutesOfDay, start, end) {
+  const startMinutes = parseTimeToMinutes(start, 0);
+  const endMinutes = parseTimeToMinutes(end, 24 * 60);
+
+  if (startMinutes === endMinutes) return true;
+
+  if (startMinutes < endMinutes) {
+    return minutesOfDay >= startMinutes && minutesOfDay < endMinutes;
+  }
+  return minutesOfDay >= startMinutes || minutesOfDay < endMinutes;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  resolveTimezone,
+  getZonedTime,
+  fromZonedTime,
+  parseLocalDateTime,
+  formatForSpeech,
+  formatLocalDateTime,
+  parseTimeToMinutes,
+  isWithinWindow
+};